@@ -4,6 +4,7 @@ import connectDB from "./db/db.js";
 import userRoutes from "./routes/user.routes.js";
 import projectRoutes from "./routes/project.routes.js";
 import webhookRoutes from "./routes/webhook.routes.js";
+import invitationRoutes from "./routes/invitation.routes.js";
 // import aiRoutes from './routes/ai.routes.js';
 import cookieParser from "cookie-parser";
 import cors from "cors";
@@ -13,12 +14,20 @@ const app = express();
 
 app.use(cors());
 app.use(morgan("dev"));
-app.use(express.json());
+// Keep the exact bytes for webhook signature verification
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({extended: true}));
 app.use(cookieParser());
 
 app.use("/users", userRoutes);
 app.use("/projects", projectRoutes);
+app.use("/invitations", invitationRoutes);
 app.use("/api", webhookRoutes);
 // app.use('/api/twilio', twilioRoutes);
 // app.use('/api/admin', adminRoutes);
@@ -0,0 +1,175 @@
+import * as conversationService from "../services/conversation.service.js";
+import { subscribeToProject } from "../services/realtime.service.js";
+import {
+  resumeFlow,
+  resetFlowState,
+} from "../services/flowExecutor.service.js";
+import { validationResult } from "express-validator";
+
+// Keeps idle event streams open through proxies
+const STREAM_HEARTBEAT_MS = 25000;
+
+export const getConversations = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { page, limit, phone, from, to } = req.query;
+
+  try {
+    const result = await conversationService.getConversationsByProject({
+      project: req.project,
+      page,
+      limit,
+      phone,
+      from,
+      to,
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getHandoffs = async (req, res) => {
+  try {
+    const conversations = await conversationService.getHandoffsByProject({
+      project: req.project,
+    });
+
+    return res.status(200).json({ conversations });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getConversationMessages = async (req, res) => {
+  const { contact } = req.params;
+
+  try {
+    const messages = await conversationService.getConversationMessages({
+      project: req.project,
+      contact,
+    });
+
+    return res.status(200).json({ messages });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const releaseConversation = async (req, res) => {
+  const { projectId, contact } = req.params;
+
+  try {
+    const { conversation, resumeNodeId } =
+      await conversationService.releaseConversation({
+        project: req.project,
+        contact,
+        userId: req.currentUser._id,
+        resumeNodeId: req.body?.resumeNodeId,
+      });
+
+    await resumeFlow({
+      projectId,
+      senderWaPhoneNo: contact,
+      nodeId: resumeNodeId,
+    });
+
+    return res.status(200).json({
+      message: "Conversation released to the flow",
+      conversation,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const assignConversation = async (req, res) => {
+  const { contact } = req.params;
+
+  try {
+    const conversation = await conversationService.assignConversation({
+      project: req.project,
+      contact,
+      userId: req.currentUser._id,
+    });
+
+    return res.status(200).json({ conversation });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const replyToConversation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { contact } = req.params;
+
+  try {
+    const message = await conversationService.replyAsAgent({
+      project: req.project,
+      contact,
+      userId: req.currentUser._id,
+      text: req.body.text,
+    });
+
+    return res.status(201).json({ message });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const closeConversation = async (req, res) => {
+  const { projectId, contact } = req.params;
+
+  try {
+    const conversation = await conversationService.closeConversation({
+      project: req.project,
+      contact,
+    });
+    await resetFlowState({ projectId, senderWaPhoneNo: contact });
+
+    return res.status(200).json({ conversation });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+// Server-sent events with every conversation and message change of the
+// project; any member may read them
+export const streamConversationEvents = async (req, res) => {
+  const { projectId } = req.params;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribeToProject(projectId, ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    STREAM_HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
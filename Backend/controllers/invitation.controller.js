@@ -0,0 +1,95 @@
+import userModel from "../models/user.model.js";
+import * as invitationService from "../services/invitation.service.js";
+import { validationResult } from "express-validator";
+
+export const createInvitation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { email, role } = req.body;
+
+  try {
+    const invitation = await invitationService.createInvitation({
+      project: req.project,
+      email,
+      role,
+      userId: req.currentUser._id,
+    });
+
+    return res.status(201).json({ invitation });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getPendingInvitations = async (req, res) => {
+  try {
+    const invitations = await invitationService.getPendingInvitations({
+      project: req.project,
+    });
+
+    return res.status(200).json({ invitations });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const revokeInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+
+  try {
+    const invitation = await invitationService.revokeInvitation({
+      project: req.project,
+      invitationId,
+    });
+
+    return res.status(200).json({ invitation });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.getInvitationDetails({
+      token: req.params.token,
+    });
+
+    return res.status(200).json({ invitation });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const acceptInvitation = async (req, res) => {
+  try {
+    const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+    const project = await invitationService.acceptInvitation({
+      token: req.params.token,
+      userId: loggedInUser._id,
+    });
+
+    return res.status(200).json({ project });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const declineInvitation = async (req, res) => {
+  try {
+    const result = await invitationService.declineInvitation({
+      token: req.params.token,
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+};
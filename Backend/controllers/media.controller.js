@@ -0,0 +1,65 @@
+import { openStoredMedia } from "../services/mediaStore.service.js";
+
+// Media comes from contacts, so its type cannot be trusted. Only these are
+// shown in the browser; everything else (HTML, SVG, ...) is downloaded.
+const INLINE_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "audio/aac",
+  "audio/amr",
+  "audio/mp4",
+  "audio/mpeg",
+  "audio/ogg",
+  "video/3gpp",
+  "video/mp4",
+];
+
+// Plain filename= for old clients, with anything outside printable ASCII
+// replaced, plus the exact name as an RFC 5987 filename*= value
+function contentDisposition(type, filename) {
+  if (!filename) return type;
+
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+export const downloadMedia = async (req, res) => {
+  const { mediaId } = req.params;
+
+  try {
+    const { media, stream } = await openStoredMedia({
+      project: req.project,
+      mediaId,
+    });
+
+    const mimeType = media.mimeType || "application/octet-stream";
+    const baseType = mimeType.split(";")[0].trim().toLowerCase();
+    const disposition = INLINE_MIME_TYPES.includes(baseType)
+      ? "inline"
+      : "attachment";
+
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(disposition, media.filename)
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "sandbox");
+
+    stream.on("error", (err) => {
+      console.log(err);
+      if (!res.headersSent) res.status(500).json({ error: "Failed to read media" });
+      else res.end();
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.log(error);
+    return res.status(404).json({ error: error.message });
+  }
+};
@@ -54,7 +54,7 @@ export const addUserToProject = async (req, res) => {
   }
 
   try {
-    const { projectId, users } = req.body;
+    const { projectId, users, role } = req.body;
 
     const loggedInUser = await userModel.findOne({
       email: req.user.email,
@@ -63,11 +63,13 @@ export const addUserToProject = async (req, res) => {
     const project = await projectService.addUsersToProject({
       projectId,
       users,
+      role,
       userId: loggedInUser._id,
     });
 
     return res.status(200).json({
       project,
+      role: projectService.getMemberRole(project, loggedInUser._id),
     });
   } catch (err) {
     console.log(err);
@@ -75,14 +77,14 @@ export const addUserToProject = async (req, res) => {
   }
 };
 
+// requireProjectAccess has already loaded the project and the caller's role
 export const getProjectById = async (req, res) => {
-  const { projectId } = req.params;
-
   try {
-    const project = await projectService.getProjectById({ projectId });
+    const project = await req.project.populate("users");
 
     return res.status(200).json({
       project,
+      role: req.projectRole,
     });
   } catch (err) {
     console.log(err);
@@ -91,14 +93,9 @@ export const getProjectById = async (req, res) => {
 };
 
 export const deleteProject = async (req, res) => {
-  const { projectId } = req.params;
-
   try {
-    const loggedInUser = await userModel.findOne({ email: req.user.email });
-
     const result = await projectService.deleteProjectById({
-      projectId,
-      userId: loggedInUser._id,
+      project: req.project,
     });
 
     return res.status(200).json(result);
@@ -109,12 +106,11 @@ export const deleteProject = async (req, res) => {
 };
 
 export const updateFlow = async (req, res) => {
-  const { projectId } = req.params;
   const { fileTree } = req.body;
 
   try {
     const updatedProject = await projectService.updateProjectFlow({
-      projectId,
+      project: req.project,
       fileTree,
     });
 
@@ -129,7 +125,6 @@ export const updateFlow = async (req, res) => {
 };
 
 export const updateProjectName = async (req, res) => {
-  const { projectId } = req.params;
   const { name } = req.body;
 
   const errors = validationResult(req);
@@ -138,12 +133,9 @@ export const updateProjectName = async (req, res) => {
   }
 
   try {
-    const loggedInUser = await userModel.findOne({ email: req.user.email });
-
     const updatedProject = await projectService.updateProjectName({
-      projectId,
+      project: req.project,
       name,
-      userId: loggedInUser._id,
     });
 
     return res.status(200).json({
@@ -196,30 +188,65 @@ export const removeUserFromProject = async (req, res) => {
   }
 };
 
+export const updateMemberRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { memberId } = req.params;
+  const { role } = req.body;
+
+  try {
+    const project = await projectService.updateMemberRole({
+      project: req.project,
+      memberId,
+      role,
+    });
+
+    return res.status(200).json({ project });
+  } catch (err) {
+    console.log(err);
+    return res.status(400).json({ error: err.message });
+  }
+};
+
+export const getWhatsappConfig = async (req, res) => {
+  try {
+    return res
+      .status(200)
+      .json({ config: projectService.getWhatsappConfig(req.project) });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
 export const updateWhatsappConfig = async (req, res) => {
   const { projectId } = req.params;
   const {
     whatsappPhoneNumberId,
     whatsappAccessToken,
     whatsappWebhookVerifyToken,
+    whatsappAppSecret,
   } = req.body;
 
   try {
-    const loggedInUser = await userModel.findOne({ email: req.user.email });
-
     const updatedProject = await projectService.updateWhatsappConfig({
-      projectId,
-      userId: loggedInUser._id,
+      project: req.project,
       configData: {
         whatsappPhoneNumberId,
         whatsappAccessToken,
         whatsappWebhookVerifyToken,
+        whatsappAppSecret,
       },
     });
 
     return res.status(200).json({
       message: "WhatsApp configuration updated successfully",
       project: updatedProject,
+      config: projectService.getWhatsappConfig(updatedProject),
+      webhookUrl: projectService.getWebhookUrl(projectId),
     });
   } catch (error) {
     console.log(error);
@@ -228,14 +255,10 @@ export const updateWhatsappConfig = async (req, res) => {
 };
 
 export const toggleProjectActiveState = async (req, res) => {
-  const { projectId } = req.params;
-
   try {
-    const loggedInUser = await userModel.findOne({ email: req.user.email });
-
     const result = await projectService.toggleProjectActiveState({
-      projectId,
-      userId: loggedInUser._id,
+      project: req.project,
+      userId: req.currentUser._id,
     });
 
     return res.status(200).json({
@@ -247,3 +270,29 @@ export const toggleProjectActiveState = async (req, res) => {
     return res.status(400).json({ error: error.message });
   }
 };
+
+export const getDeliveryStats = async (req, res) => {
+  try {
+    const stats = await projectService.getDeliveryStats({
+      project: req.project,
+    });
+
+    return res.status(200).json({ stats });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getSplitTestStats = async (req, res) => {
+  try {
+    const stats = await projectService.getSplitTestStats({
+      project: req.project,
+    });
+
+    return res.status(200).json({ stats });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,76 @@
+import * as templateService from "../services/template.service.js";
+import { validationResult } from "express-validator";
+
+export const createTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await templateService.createTemplate({
+      project: req.project,
+      userId: req.currentUser._id,
+      data: req.body,
+    });
+
+    return res.status(201).json({ template });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await templateService.getTemplatesByProject({
+      project: req.project,
+    });
+
+    return res.status(200).json({ templates });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const updateTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { templateId } = req.params;
+
+  try {
+    const template = await templateService.updateTemplate({
+      project: req.project,
+      templateId,
+      data: req.body,
+    });
+
+    return res.status(200).json({
+      message: "Template updated successfully",
+      template,
+    });
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+export const deleteTemplate = async (req, res) => {
+  const { templateId } = req.params;
+
+  try {
+    const result = await templateService.deleteTemplate({
+      project: req.project,
+      templateId,
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.log(error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -1,16 +1,30 @@
+import mongoose from "mongoose";
 import projectModel from "../models/project.model.js";
-import { processMessage } from "../services/flowExecutor.service.js";
+import { enqueueWebhookJob } from "../services/webhookQueue.service.js";
 
-// Webhook verification (GET /webhook)
-export const verifyWebhook = (req, res) => {
-  const VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN;
+// Webhook verification (GET /webhook and GET /webhook/:projectId)
+export const verifyWebhook = async (req, res) => {
+  const { projectId } = req.params;
+  let VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN;
+
+  // A project URL is verified with the project's own token when it has one
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) return res.sendStatus(404);
+
+    const project = await projectModel
+      .findById(projectId)
+      .select("whatsappWebhookVerifyToken");
+    if (!project) return res.sendStatus(404);
+
+    VERIFY_TOKEN = project.whatsappWebhookVerifyToken || VERIFY_TOKEN;
+  }
 
   const mode = req.query["hub.mode"];
   const token = req.query["hub.verify_token"];
   const challenge = req.query["hub.challenge"];
 
-  if (mode === "subscribe" && token === VERIFY_TOKEN) {
-    console.log("Webhook verified.");
+  if (mode === "subscribe" && VERIFY_TOKEN && token === VERIFY_TOKEN) {
+    console.log("Webhook verified.", projectId ? `Project ${projectId}` : "");
     return res.status(200).send(challenge);
   }
 
@@ -25,38 +39,9 @@ export const handleIncomingMessage = async (req, res) => {
 
     if (body.object !== "whatsapp_business_account") return res.sendStatus(404);
 
-    const entry = body.entry?.[0];
-    const change = entry?.changes?.[0]?.value;
-
-    const phoneNumberId = change?.metadata?.phone_number_id;
-    const message = change?.messages?.[0];
-
-    if (!phoneNumberId || !message || !message.from) {
-      return res.sendStatus(200); // Ignore unsupported messages
-    }
-
-    const project = await projectModel.findOne({
-      whatsappPhoneNumberId: phoneNumberId,
-      isActive: true,
-    });
-
-    if (!project) {
-      console.warn("No project found for phone_number_id:", phoneNumberId);
-      return res.sendStatus(404);
-    }
-
-    const from = message.from;
-
-const messageText = message?.text?.body || "";
-const buttonReplyId = message?.interactive?.button_reply?.id || "";
-
-    // Send both text and button id to the processor
-    await processMessage({
-      projectId: project._id,
-      senderWaPhoneNo: from,
-      messageText,
-      buttonReplyId,
-    });
+    // Processed by the webhook worker; answering fast keeps Meta from
+    // timing out and re-delivering the same payload
+    await enqueueWebhookJob(body, { projectId: req.params.projectId });
 
     res.sendStatus(200);
   } catch (err) {
@@ -1,5 +1,9 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import redisClient from "../services/redis.service.js";
+import userModel from "../models/user.model.js";
+import projectModel from "../models/project.model.js";
+import { getMemberRole, hasProjectRole } from "../services/project.service.js";
 
 
 export const authUser = async (req, res, next) => {
@@ -20,6 +24,13 @@ export const authUser = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Only login tokens carry an email; anything issued for another
+        // purpose (e.g. invite links) is not a session
+        if (!decoded.email || decoded.purpose || decoded.aud) {
+            return res.status(401).send({ error: 'Unauthorized User' });
+        }
+
         req.user = decoded;
         next();
     } catch (error) {
@@ -28,4 +39,49 @@ export const authUser = async (req, res, next) => {
 
         res.status(401).send({ error: 'Unauthorized User' });
     }
-}
\ No newline at end of file
+}
+
+// Must run after authUser. Loads req.params.projectId and attaches it as
+// req.project (the user's role as req.projectRole and the user document as
+// req.currentUser), rejecting users who are not members of the project.
+export const requireProjectAccess = async (req, res, next) => {
+    try {
+        const { projectId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            return res.status(400).json({ error: 'Invalid Project ID' });
+        }
+
+        const user = await userModel.findOne({ email: req.user?.email });
+
+        if (!user) {
+            return res.status(401).send({ error: 'Unauthorized User' });
+        }
+
+        // Non-members get the same answer as a missing project
+        const project = await projectModel.findOne({ _id: projectId, users: user._id });
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found or user not authorized' });
+        }
+
+        req.project = project;
+        req.projectRole = getMemberRole(project, user._id);
+        req.currentUser = user;
+        next();
+    } catch (error) {
+
+        console.log(error);
+
+        res.status(500).json({ error: 'Failed to check project access' });
+    }
+}
+
+// Must run after requireProjectAccess. Every member can read; pass 'editor'
+// or 'owner' for routes that change the project.
+export const requireProjectRole = (minimumRole) => (req, res, next) => {
+    if (!hasProjectRole(req.projectRole, minimumRole)) {
+        return res.status(403).json({ error: `Only project ${minimumRole}s can do this` });
+    }
+    next();
+}
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import projectModel from "../models/project.model.js";
+import { decryptSecret } from "../services/encryption.service.js";
+
+// Phone number ids the payload is about; their projects' app secrets may sign it
+function getPhoneNumberIds(body) {
+  const ids = new Set();
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const id = change.value?.metadata?.phone_number_id;
+      if (id) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+function signatureMatches(secret, rawBody, signature) {
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`
+  );
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+// Secret a project's webhooks are signed with; stored encrypted
+function getAppSecret(project) {
+  return project?.whatsappAppSecret
+    ? decryptSecret(project.whatsappAppSecret)
+    : process.env.WHATSAPP_APP_SECRET;
+}
+
+// Keeps only the changes whose own project's app secret produced the
+// signature, so a tenant cannot slip another project's changes into a batch
+async function filterVerifiedChanges(body, rawBody, signature) {
+  const projects = await projectModel
+    .find({ whatsappPhoneNumberId: { $in: getPhoneNumberIds(body) } })
+    .select("+whatsappAppSecret");
+  const projectsByPhoneNumberId = new Map(
+    projects.map((project) => [project.whatsappPhoneNumberId, project])
+  );
+
+  const verified = new Map();
+  const isVerified = (phoneNumberId) => {
+    if (!verified.has(phoneNumberId)) {
+      const secret = getAppSecret(projectsByPhoneNumberId.get(phoneNumberId));
+      verified.set(
+        phoneNumberId,
+        Boolean(secret) && signatureMatches(secret, rawBody, signature)
+      );
+    }
+    return verified.get(phoneNumberId);
+  };
+
+  let kept = 0;
+  let dropped = 0;
+  const entry = (body?.entry || []).map((item) => ({
+    ...item,
+    changes: (item.changes || []).filter((change) => {
+      const phoneNumberId = change.value?.metadata?.phone_number_id;
+      const ok = Boolean(phoneNumberId) && isVerified(phoneNumberId);
+      if (ok) kept += 1;
+      else dropped += 1;
+      return ok;
+    }),
+  }));
+
+  return { body: { ...body, entry }, kept, dropped };
+}
+
+/**
+ * Verifies Meta's X-Hub-Signature-256 header against the raw request body.
+ * On the shared URL every change must be signed with the app secret of the
+ * project it targets (or WHATSAPP_APP_SECRET when that project has none);
+ * changes that are not are dropped from req.body. On a per-project URL only
+ * that project's secret is considered.
+ */
+export const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    const signature = req.get("x-hub-signature-256");
+    if (!signature || !req.rawBody) {
+      console.warn("Rejected webhook without a signature from", req.ip);
+      return res.sendStatus(401);
+    }
+
+    const { projectId } = req.params;
+    if (projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.sendStatus(404);
+      }
+
+      const project = await projectModel
+        .findById(projectId)
+        .select("+whatsappAppSecret");
+      const secret = getAppSecret(project);
+      if (!secret) {
+        console.warn("Rejected webhook: no app secret is configured to verify it");
+        return res.sendStatus(401);
+      }
+      if (!signatureMatches(secret, req.rawBody, signature)) {
+        console.warn("Rejected webhook with an invalid signature from", req.ip);
+        return res.sendStatus(401);
+      }
+      return next();
+    }
+
+    const { body, kept, dropped } = await filterVerifiedChanges(
+      req.body,
+      req.rawBody,
+      signature
+    );
+
+    // A batch without changes (e.g. a test ping) can only be checked
+    // against the shared secret
+    const sharedSecret = process.env.WHATSAPP_APP_SECRET;
+    const valid =
+      kept > 0 ||
+      (dropped === 0 &&
+        Boolean(sharedSecret) &&
+        signatureMatches(sharedSecret, req.rawBody, signature));
+    if (!valid) {
+      console.warn("Rejected webhook with an invalid signature from", req.ip);
+      return res.sendStatus(401);
+    }
+    if (dropped > 0) {
+      console.warn(
+        `Dropped ${dropped} webhook change(s) not signed by their project from`,
+        req.ip
+      );
+    }
+
+    req.body = body;
+    next();
+  } catch (error) {
+    console.error("Webhook signature check failed:", error);
+    res.sendStatus(500);
+  }
+};
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// One conversation per contact and project. `status` decides who answers:
+// the flow ("bot"), a project member ("agent") or nobody ("closed").
+const conversationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    contact: { type: String, required: true, trim: true },
+    status: {
+      type: String,
+      enum: ["bot", "agent", "closed"],
+      default: "bot",
+    },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+    lastMessage: {
+      direction: { type: String, enum: ["inbound", "outbound"] },
+      type: { type: String },
+      text: { type: String },
+      at: { type: Date },
+    },
+    handoff: {
+      nodeId: { type: String },
+      resumeNodeId: { type: String },
+      reason: { type: String },
+      startedAt: { type: Date },
+      releasedAt: { type: Date },
+      releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ project: 1, contact: 1 }, { unique: true });
+conversationSchema.index({ project: 1, "lastMessage.at": -1 });
+
+const Conversation = mongoose.model("conversation", conversationSchema);
+
+export default Conversation;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Email invitation to join a project. The emailed link carries a signed
+// token naming this invitation and its current `tokenId`; re-sending an
+// invitation rotates `tokenId`, which invalidates earlier links.
+const invitationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    role: {
+      type: String,
+      enum: ["owner", "editor", "viewer"],
+      default: "editor",
+    },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+    tokenId: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+    },
+    expiresAt: { type: Date, required: true },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ project: 1, email: 1, status: 1 });
+
+const Invitation = mongoose.model("invitation", invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Inbound WhatsApp media that has been downloaded into our own storage
+const mediaSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    mediaId: { type: String, required: true, trim: true },
+    contact: { type: String, trim: true },
+    mimeType: { type: String },
+    sha256: { type: String },
+    size: { type: Number },
+    filename: { type: String },
+    storageDriver: { type: String, required: true },
+    storageKey: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+mediaSchema.index({ project: 1, mediaId: 1 }, { unique: true });
+
+const Media = mongoose.model("media", mediaSchema);
+
+export default Media;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A single WhatsApp message exchanged with a contact
+const messageSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "conversation",
+    },
+    contact: { type: String, required: true, trim: true },
+    direction: {
+      type: String,
+      enum: ["inbound", "outbound"],
+      required: true,
+    },
+    type: { type: String, default: "text" },
+    text: { type: String },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    waMessageId: { type: String },
+    // Flow node that sent an outbound message
+    nodeId: { type: String },
+    // Delivery status reported by WhatsApp for outbound messages
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read", "failed"],
+    },
+    statusAt: { type: Date },
+    // Set once the node's "Delivery Failed" branch ran for a failed message
+    failureHandledAt: { type: Date },
+    error: {
+      code: { type: Number },
+      title: { type: String },
+      details: { type: String },
+    },
+    // Project member who wrote an outbound message by hand
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ project: 1, contact: 1, createdAt: -1 });
+messageSchema.index({ project: 1, waMessageId: 1 });
+
+const Message = mongoose.model("message", messageSchema);
+
+export default Message;
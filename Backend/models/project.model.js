@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { maskSecret } from "../services/encryption.service.js";
 
 const nodeSchema = new mongoose.Schema(
   {
@@ -13,8 +14,13 @@ const nodeSchema = new mongoose.Schema(
         "buttons",
         "apiCall",
         "askaQuestion",
-        // "random",
-        // "goto",
+        "condition",
+        "setVariable",
+        "media",
+        "template",
+        "random",
+        "goto",
+        "handoff",
         "end",
       ],
       required: true,
@@ -56,6 +62,19 @@ const fileTreeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Per-member role; every member is also listed in `users`
+const memberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "user", required: true },
+    role: {
+      type: String,
+      enum: ["owner", "editor", "viewer"],
+      default: "editor",
+    },
+  },
+  { _id: false }
+);
+
 const projectSchema = new mongoose.Schema(
   {
     name: {
@@ -72,22 +91,49 @@ const projectSchema = new mongoose.Schema(
         required: true,
       },
     ],
+    members: { type: [memberSchema], default: [] },
     fileTree: {
       type: fileTreeSchema,
       default: () => ({ nodes: [], edges: [] }),
     },
+    // Bumped on every flow save; recorded in contact sessions
+    flowVersion: { type: Number, default: 0 },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     usage: { type: Number, default: 0 },
 
     // WhatsApp Business API credentials
     whatsappBusinessAccountId: { type: String, trim: true },
     whatsappPhoneNumberId: { type: String, trim: true },
+    // Encrypted at rest, see services/encryption.service.js
     whatsappAccessToken: { type: String, trim: true },
-    // whatsappWebhookVerifyToken: {type: String, trim: true},
+    whatsappAccessTokenLast4: { type: String },
+    // Token Meta echoes when verifying /api/webhook/:projectId
+    whatsappWebhookVerifyToken: { type: String, trim: true },
+    // Meta app secret that signs this project's webhooks (X-Hub-Signature-256),
+    // encrypted at rest like the access token
+    whatsappAppSecret: { type: String, trim: true, select: false },
 
     isActive: { type: Boolean, default: false },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.whatsappAppSecret;
+        if (ret.whatsappAccessToken) {
+          ret.whatsappAccessToken = maskSecret(ret.whatsappAccessTokenLast4);
+        }
+        delete ret.whatsappAccessTokenLast4;
+        // Shown in full only by the owners' whatsapp-config endpoint
+        if (ret.whatsappWebhookVerifyToken) {
+          ret.whatsappWebhookVerifyToken = maskSecret(
+            ret.whatsappWebhookVerifyToken.slice(-4)
+          );
+        }
+        return ret;
+      },
+    },
+  }
 );
 
 const Project = mongoose.model("project", projectSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Records which branch of a "random" split node a contact was assigned to
+const splitAssignmentSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    nodeId: { type: String, required: true },
+    contact: { type: String, required: true, trim: true },
+    branch: { type: String, required: true },
+    completed: { type: Boolean, default: false },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+splitAssignmentSchema.index(
+  { project: 1, nodeId: 1, contact: 1 },
+  { unique: true }
+);
+
+const SplitAssignment = mongoose.model(
+  "splitAssignment",
+  splitAssignmentSchema
+);
+
+export default SplitAssignment;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Approved WhatsApp message templates registered for a project.
+// Placeholders follow Meta's positional {{1}}, {{2}} format.
+const templateButtonSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["QUICK_REPLY", "URL", "PHONE_NUMBER"],
+      required: true,
+    },
+    text: { type: String, required: true, trim: true },
+    url: { type: String, trim: true },
+    phoneNumber: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const templateSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "project",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9_]+$/,
+        "Template name may only contain lowercase letters, numbers and underscores",
+      ],
+    },
+    language: { type: String, required: true, trim: true, default: "en_US" },
+    category: {
+      type: String,
+      enum: ["MARKETING", "UTILITY", "AUTHENTICATION"],
+      default: "UTILITY",
+    },
+    header: {
+      format: {
+        type: String,
+        enum: ["NONE", "TEXT", "IMAGE", "VIDEO", "DOCUMENT"],
+        default: "NONE",
+      },
+      text: { type: String, trim: true },
+    },
+    body: { type: String, required: true },
+    footer: { type: String, trim: true },
+    buttons: { type: [templateButtonSchema], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+  },
+  { timestamps: true }
+);
+
+templateSchema.index({ project: 1, name: 1, language: 1 }, { unique: true });
+
+const Template = mongoose.model("template", templateSchema);
+
+export default Template;
@@ -0,0 +1,18 @@
+import {Router} from "express";
+import * as invitationController from "../controllers/invitation.controller.js";
+import * as authMiddleWare from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// The token in the emailed link is the credential for viewing and declining
+router.get("/:token", invitationController.getInvitation);
+
+router.post(
+  "/:token/accept",
+  authMiddleWare.authUser,
+  invitationController.acceptInvitation
+);
+
+router.post("/:token/decline", invitationController.declineInvitation);
+
+export default router;
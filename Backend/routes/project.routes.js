@@ -1,6 +1,10 @@
 import {Router} from "express";
-import {body} from "express-validator";
+import {body, query} from "express-validator";
 import * as projectController from "../controllers/project.controller.js";
+import * as mediaController from "../controllers/media.controller.js";
+import * as templateController from "../controllers/template.controller.js";
+import * as conversationController from "../controllers/conversation.controller.js";
+import * as invitationController from "../controllers/invitation.controller.js";
 import * as authMiddleWare from "../middleware/auth.middleware.js";
 
 const router = Router();
@@ -28,24 +32,33 @@ router.put(
     .bail()
     .custom((users) => users.every((user) => typeof user === "string"))
     .withMessage("Each user must be a string"),
+  body("role")
+    .optional()
+    .isIn(["owner", "editor", "viewer"])
+    .withMessage("role must be owner, editor or viewer"),
   projectController.addUserToProject
 );
 
 router.get(
   "/get-project/:projectId",
   authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
   projectController.getProjectById
 );
 
 router.delete(
   "/delete/:projectId",
   authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
   projectController.deleteProject
 );
 
 router.patch(
   "/update-flow/:projectId",
   authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
   body("fileTree").isObject().withMessage("fileTree must be an object"),
   body("fileTree.nodes")
     .isArray()
@@ -59,6 +72,8 @@ router.patch(
 router.patch(
   "/update-name/:projectId",
   authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
   body("name").isString().withMessage("New name is required"),
   projectController.updateProjectName
 );
@@ -78,17 +93,212 @@ router.patch(
 );
 
 router.patch(
+  "/:projectId/members/:memberId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
+  body("role")
+    .isIn(["owner", "editor", "viewer"])
+    .withMessage("role must be owner, editor or viewer"),
+  projectController.updateMemberRole
+);
+
+router.get(
+  "/:projectId/invitations",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  invitationController.getPendingInvitations
+);
+
+router.post(
+  "/:projectId/invitations",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
+  body("email").isEmail().withMessage("Email must be a valid email address"),
+  body("role")
+    .optional()
+    .isIn(["owner", "editor", "viewer"])
+    .withMessage("role must be owner, editor or viewer"),
+  invitationController.createInvitation
+);
+
+router.delete(
+  "/:projectId/invitations/:invitationId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
+  invitationController.revokeInvitation
+);
+
+router.get(
   "/whatsapp-config/:projectId",
   authMiddleWare.authUser,
-  projectController.updateWhatsappConfig
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
+  projectController.getWhatsappConfig
 );
 
+router.patch(
+  "/whatsapp-config/:projectId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("owner"),
+  projectController.updateWhatsappConfig
+);
 
 router.patch(
   "/toggle-active/:projectId",
   authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
   projectController.toggleProjectActiveState
 );
 
+router.get(
+  "/split-stats/:projectId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  projectController.getSplitTestStats
+);
+
+router.get(
+  "/delivery-stats/:projectId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  projectController.getDeliveryStats
+);
+
+router.get(
+  "/:projectId/media/:mediaId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  mediaController.downloadMedia
+);
+
+router.get(
+  "/:projectId/templates",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  templateController.getTemplates
+);
+
+router.post(
+  "/:projectId/templates",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  body("name").isString().withMessage("Template name is required"),
+  body("language").optional().isString(),
+  body("body").isString().withMessage("Template body is required"),
+  body("buttons")
+    .optional()
+    .isArray({max: 10})
+    .withMessage("buttons must be an array of at most 10 items"),
+  templateController.createTemplate
+);
+
+router.patch(
+  "/:projectId/templates/:templateId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  body("name").optional().isString(),
+  body("body").optional().isString(),
+  body("buttons")
+    .optional()
+    .isArray({max: 10})
+    .withMessage("buttons must be an array of at most 10 items"),
+  templateController.updateTemplate
+);
+
+router.delete(
+  "/:projectId/templates/:templateId",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  templateController.deleteTemplate
+);
+
+router.get(
+  "/:projectId/conversations",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  query("page")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({min: 1, max: 100})
+    .withMessage("limit must be between 1 and 100"),
+  query("phone").optional().isString(),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+  conversationController.getConversations
+);
+
+router.get(
+  "/:projectId/conversations/events",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  conversationController.streamConversationEvents
+);
+
+router.get(
+  "/:projectId/handoffs",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  conversationController.getHandoffs
+);
+
+router.get(
+  "/:projectId/conversations/:contact/messages",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  conversationController.getConversationMessages
+);
+
+router.post(
+  "/:projectId/conversations/:contact/reply",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  body("text")
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage("Reply text is required"),
+  conversationController.replyToConversation
+);
+
+router.post(
+  "/:projectId/conversations/:contact/assign",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  conversationController.assignConversation
+);
+
+router.post(
+  "/:projectId/conversations/:contact/close",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  conversationController.closeConversation
+);
+
+router.post(
+  "/:projectId/conversations/:contact/release",
+  authMiddleWare.authUser,
+  authMiddleWare.requireProjectAccess,
+  authMiddleWare.requireProjectRole("editor"),
+  body("resumeNodeId")
+    .optional()
+    .isString()
+    .withMessage("resumeNodeId must be a string"),
+  conversationController.releaseConversation
+);
 
 export default router;
@@ -3,6 +3,7 @@ import {
   verifyWebhook,
   handleIncomingMessage,
 } from "../controllers/webhook.controller.js";
+import { verifyWebhookSignature } from "../middleware/webhookSignature.middleware.js";
 
 const router = Router();
 
@@ -10,6 +11,14 @@ const router = Router();
 router.get("/webhook", verifyWebhook);
 
 // Route for Meta to send message updates
-router.post("/webhook", handleIncomingMessage);
+router.post("/webhook", verifyWebhookSignature, handleIncomingMessage);
+
+// Per-project URLs, verified with the project's own token and app secret
+router.get("/webhook/:projectId", verifyWebhook);
+router.post(
+  "/webhook/:projectId",
+  verifyWebhookSignature,
+  handleIncomingMessage
+);
 
 export default router;
@@ -0,0 +1,158 @@
+// Moves flow state saved before session documents existed into
+// flow-session:<projectId>:<phone> documents. Run once right after upgrading:
+//   npm run migrate-flow-sessions
+// The old keys expired after an hour, so only contacts active in the last
+// hour have anything to move. Contacts that already have a session keep it.
+// The old keys are deleted once they have been read.
+//   flow-state:<phone>:<projectId>                          current node id
+//   flow-state:<phone>:<projectId>:awaitingButtonResponse   {nodeId, buttons}
+//   flow-state:<phone>:<projectId>:buttonInvalidCount       invalid replies
+//   flow-state:<phone>:<projectId>:asked                    "true"
+//   flow-state:<phone>:<projectId>:retries                  invalid answers
+//   <projectId>_<phone>_<variable>                          variable value
+import 'dotenv/config';
+import redisClient from '../services/redis.service.js';
+import { importLegacySession } from '../services/session.service.js';
+
+const STATE_SUFFIXES = [
+  'awaitingButtonResponse',
+  'buttonInvalidCount',
+  'asked',
+  'retries',
+];
+// Also matches the suffixed keys, which can outlive the position key
+const STATE_KEY = /^flow-state:([^:]+):([0-9a-f]{24})(?::\w+)?$/;
+const VARIABLE_KEY = /^([0-9a-f]{24})_([^_]+)_(.+)$/;
+
+const scanKeys = async (pattern, onKey) => {
+  let cursor = '0';
+  do {
+    const [next, keys] = await redisClient.scan(
+      cursor,
+      'MATCH',
+      pattern,
+      'COUNT',
+      500
+    );
+    keys.forEach(onKey);
+    cursor = next;
+  } while (cursor !== '0');
+};
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// The session fields a contact's old keys describe
+const readLegacyState = async (stateKey) => {
+  const [nodeId, awaitingStr, invalidCount, asked, retries] =
+    await redisClient.mget(
+      stateKey,
+      ...STATE_SUFFIXES.map((suffix) => `${stateKey}:${suffix}`)
+    );
+  const awaiting = awaitingStr ? parseJson(awaitingStr) : null;
+
+  if (awaiting?.nodeId && Array.isArray(awaiting.buttons)) {
+    return {
+      currentNodeId: nodeId || null,
+      pendingInput: {
+        type: 'buttons',
+        nodeId: awaiting.nodeId,
+        buttons: awaiting.buttons,
+      },
+      retries: Number(invalidCount) || 0,
+    };
+  }
+  if (nodeId && asked === 'true') {
+    return {
+      currentNodeId: nodeId,
+      pendingInput: { type: 'question', nodeId },
+      retries: Number(retries) || 0,
+    };
+  }
+  return { currentNodeId: nodeId || null };
+};
+
+const migrateFlowSessions = async () => {
+  // "<projectId>:<phone>" -> {projectId, contact, stateKey, variableKeys}
+  const contacts = new Map();
+  const contactEntry = (projectId, contact) => {
+    const id = `${projectId}:${contact}`;
+    if (!contacts.has(id)) {
+      contacts.set(id, {
+        projectId,
+        contact,
+        stateKey: null,
+        variableKeys: [],
+      });
+    }
+    return contacts.get(id);
+  };
+
+  await scanKeys('flow-state:*', (key) => {
+    const match = STATE_KEY.exec(key);
+    if (match) {
+      contactEntry(match[2], match[1]).stateKey =
+        `flow-state:${match[1]}:${match[2]}`;
+    }
+  });
+  await scanKeys('*_*_*', (key) => {
+    const match = VARIABLE_KEY.exec(key);
+    if (match) contactEntry(match[1], match[2]).variableKeys.push(key);
+  });
+
+  let imported = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const entry of contacts.values()) {
+    const { projectId, contact, stateKey, variableKeys } = entry;
+    try {
+      const fields = stateKey ? await readLegacyState(stateKey) : {};
+
+      fields.variables = {};
+      if (variableKeys.length) {
+        const values = await redisClient.mget(...variableKeys);
+        variableKeys.forEach((key, index) => {
+          if (values[index] === null) return;
+          fields.variables[VARIABLE_KEY.exec(key)[3]] = values[index];
+        });
+      }
+
+      if (await importLegacySession(projectId, contact, fields)) imported++;
+      else skipped++;
+
+      const legacyKeys = [...variableKeys];
+      if (stateKey) {
+        legacyKeys.push(
+          stateKey,
+          ...STATE_SUFFIXES.map((suffix) => `${stateKey}:${suffix}`)
+        );
+      }
+      if (legacyKeys.length) await redisClient.del(...legacyKeys);
+    } catch (err) {
+      failed++;
+      console.error(
+        `Contact ${contact} in project ${projectId}: ${err.message}`
+      );
+    }
+  }
+
+  console.log(
+    `Migrated ${imported} of ${contacts.size} contacts, ` +
+      `${skipped} already had a session, ${failed} failed`
+  );
+  return failed;
+};
+
+migrateFlowSessions()
+  .then((failed) => process.exit(failed > 0 ? 1 : 0))
+  .catch((err) => {
+    console.error(err.message);
+    redisClient.disconnect();
+    process.exit(1);
+  });
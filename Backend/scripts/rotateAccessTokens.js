@@ -0,0 +1,63 @@
+// Re-encrypts every stored WhatsApp access token and app secret with
+// TOKEN_ENCRYPTION_KEY. To rotate: set the new key as TOKEN_ENCRYPTION_KEY,
+// move the old one into TOKEN_ENCRYPTION_PREVIOUS_KEYS, run
+// `npm run rotate-token-key`, then drop the old key. Secrets saved before
+// encryption existed are encrypted as well.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../db/db.js';
+import projectModel from '../models/project.model.js';
+import {
+  decryptSecret,
+  encryptSecret,
+  needsReencryption,
+} from '../services/encryption.service.js';
+
+const rotateAccessTokens = async () => {
+  await connectDB();
+
+  const projects = await projectModel
+    .find({
+      $or: [
+        { whatsappAccessToken: { $nin: [null, ''] } },
+        { whatsappAppSecret: { $nin: [null, ''] } },
+      ],
+    })
+    .select('whatsappAccessToken +whatsappAppSecret');
+
+  let rotated = 0;
+  let failed = 0;
+
+  for (const project of projects) {
+    const update = {};
+
+    try {
+      const { whatsappAccessToken, whatsappAppSecret } = project;
+      if (whatsappAccessToken && needsReencryption(whatsappAccessToken)) {
+        const token = decryptSecret(whatsappAccessToken);
+        update.whatsappAccessToken = encryptSecret(token);
+        update.whatsappAccessTokenLast4 = token.slice(-4);
+      }
+      if (whatsappAppSecret && needsReencryption(whatsappAppSecret)) {
+        update.whatsappAppSecret = encryptSecret(
+          decryptSecret(whatsappAppSecret)
+        );
+      }
+      if (Object.keys(update).length === 0) continue;
+
+      await projectModel.updateOne({ _id: project._id }, update);
+      rotated++;
+    } catch (err) {
+      failed++;
+      console.error(`Project ${project._id}: ${err.message}`);
+    }
+  }
+
+  console.log(
+    `Re-encrypted the secrets of ${rotated} of ${projects.length} projects, ${failed} failed`
+  );
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+rotateAccessTokens();
@@ -0,0 +1,56 @@
+// Inspects and replays webhook jobs that ran out of retries.
+//   npm run webhook-jobs -- stats
+//   npm run webhook-jobs -- list [limit]
+//   npm run webhook-jobs -- replay <jobId|all>
+import 'dotenv/config';
+import redisClient from '../services/redis.service.js';
+import {
+  getDeadLetterJobs,
+  getQueueStats,
+  replayDeadLetterJobs,
+} from '../services/webhookQueue.service.js';
+
+const [command = 'stats', arg] = process.argv.slice(2);
+
+const run = async () => {
+  switch (command) {
+    case 'stats':
+      console.table(await getQueueStats());
+      break;
+
+    case 'list': {
+      const jobs = await getDeadLetterJobs({ limit: Number(arg) || 20 });
+      jobs.forEach((job) => {
+        const messages = job.body?.entry?.flatMap((entry) =>
+          (entry.changes || []).flatMap((change) => change.value?.messages || [])
+        );
+        console.log(
+          `${job.id}  project=${job.projectId || '-'}  attempts=${job.attempts}  ` +
+            `failedAt=${job.failedAt}  messages=${messages?.length || 0}  error=${job.lastError}`
+        );
+      });
+      if (!jobs.length) console.log('No dead-lettered jobs');
+      break;
+    }
+
+    case 'replay': {
+      if (!arg) throw new Error('Pass a job id, or "all"');
+      const replayed = await replayDeadLetterJobs({
+        jobId: arg === 'all' ? undefined : arg,
+      });
+      console.log(`Replayed ${replayed} job(s)`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}"`);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err.message);
+    redisClient.disconnect();
+    process.exit(1);
+  });
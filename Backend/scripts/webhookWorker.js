@@ -0,0 +1,24 @@
+// Runs the webhook worker and the session timeout job on their own, for
+// deployments that start the API with WEBHOOK_WORKER_ENABLED=false.
+import 'dotenv/config';
+import connectDB from '../db/db.js';
+import {
+  startWebhookWorker,
+  stopWebhookWorker,
+} from '../services/webhookQueue.service.js';
+import {
+  startSessionTimeoutJob,
+  stopSessionTimeoutJob,
+} from '../services/sessionTimeout.service.js';
+
+await connectDB();
+await startWebhookWorker();
+startSessionTimeoutJob();
+
+const shutdown = async () => {
+  stopSessionTimeoutJob();
+  await stopWebhookWorker();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
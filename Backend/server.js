@@ -1,6 +1,8 @@
 import 'dotenv/config';
 import http from 'http';
 import app from './app.js';
+import { startWebhookWorker } from './services/webhookQueue.service.js';
+import { startSessionTimeoutJob } from './services/sessionTimeout.service.js';
 
 const port = process.env.PORT || 3000
 
@@ -8,4 +10,13 @@ const server = http.createServer(app);
 
 server.listen(port, () => {
     console.log(`Server is running on port ${port}`);
-})
\ No newline at end of file
+})
+
+// Set WEBHOOK_WORKER_ENABLED=false to run the worker and the session
+// timeout job as their own process (`npm run webhook-worker`) instead
+if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+    startWebhookWorker().catch((err) => {
+        console.error('Failed to start webhook worker:', err);
+    });
+    startSessionTimeoutJob();
+}
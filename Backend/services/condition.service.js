@@ -0,0 +1,100 @@
+// Evaluates the rule sets of a "condition" node against contact variables
+
+export const CONDITION_OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "regex",
+  "greaterThan",
+  "lessThan",
+  "greaterThanOrEqual",
+  "lessThanOrEqual",
+  "isEmpty",
+  "isNotEmpty",
+];
+
+// Label of the edge taken when no rule set matches
+export const DEFAULT_CONDITION_LABEL = "Default";
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return NaN;
+  return Number(value);
+}
+
+// Compare a single value against a rule
+export function evaluateRule(actual, operator, expected) {
+  const left = actual === null || actual === undefined ? "" : String(actual);
+  const right =
+    expected === null || expected === undefined ? "" : String(expected);
+  const lhs = left.trim().toLowerCase();
+  const rhs = right.trim().toLowerCase();
+
+  switch (operator) {
+    case "equals":
+      return lhs === rhs;
+    case "notEquals":
+      return lhs !== rhs;
+    case "contains":
+      return lhs.includes(rhs);
+    case "notContains":
+      return !lhs.includes(rhs);
+    case "regex":
+      try {
+        return new RegExp(right, "i").test(left);
+      } catch {
+        console.warn(`Invalid regex in condition rule: ${right}`);
+        return false;
+      }
+    case "greaterThan":
+    case "lessThan":
+    case "greaterThanOrEqual":
+    case "lessThanOrEqual": {
+      const a = toNumber(left.trim());
+      const b = toNumber(right.trim());
+      if (Number.isNaN(a) || Number.isNaN(b)) return false;
+      if (operator === "greaterThan") return a > b;
+      if (operator === "lessThan") return a < b;
+      if (operator === "greaterThanOrEqual") return a >= b;
+      return a <= b;
+    }
+    case "isEmpty":
+      return lhs === "";
+    case "isNotEmpty":
+      return lhs !== "";
+    default:
+      console.warn(`Unsupported condition operator: ${operator}`);
+      return false;
+  }
+}
+
+/**
+ * Returns the label of the first matching rule set, or the default label.
+ *
+ * @param {Array} conditions - [{ label, match: "all" | "any", rules: [{ variable, operator, value }] }]
+ * @param {Function} resolveVariable - async (name) => stored value
+ * @param {Function} resolveValue - async (template) => interpolated compare value
+ */
+export async function evaluateConditions(
+  conditions = [],
+  resolveVariable,
+  resolveValue = async (value) => value
+) {
+  for (const group of conditions) {
+    const rules = (group?.rules || []).filter((r) => r?.variable);
+    if (!group?.label || rules.length === 0) continue;
+
+    const results = [];
+    for (const rule of rules) {
+      const actual = await resolveVariable(rule.variable.trim());
+      const expected = await resolveValue(rule.value);
+      results.push(evaluateRule(actual, rule.operator, expected));
+    }
+
+    const matched =
+      group.match === "any" ? results.some(Boolean) : results.every(Boolean);
+    if (matched) return group.label;
+  }
+
+  return DEFAULT_CONDITION_LABEL;
+}
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import redisClient from "./redis.service.js";
+
+// A contact's flow session is read, changed and written back while a message
+// runs, so only one message per (project, contact) may run at a time. The
+// lock is a Redis key, which also covers several workers.
+const LOCK_TTL_MS = 30 * 1000;
+const WAIT_TIMEOUT_MS = 2 * 60 * 1000;
+const RETRY_DELAY_MS = 50;
+
+// Delete / extend the lock only while it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Keys of the locks the current async call chain holds, so a caller that
+// already holds a contact's lock can call into code that takes it again
+const heldLocks = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `fn` while holding the lock of one contact of a project, waiting for
+ * the current holder first. The lock is kept alive while `fn` runs (slow API
+ * call nodes included) and expires on its own if the process dies.
+ * Throws if the lock cannot be taken within WAIT_TIMEOUT_MS, so the webhook
+ * job is retried later. Nested calls for a lock the caller holds run `fn`
+ * right away.
+ */
+export async function withContactLock(projectId, contact, fn) {
+  const key = `flow-lock:${projectId}:${contact}`;
+  const held = heldLocks.getStore();
+  if (held?.has(key)) return fn();
+
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+
+  while (!(await redisClient.set(key, token, "PX", LOCK_TTL_MS, "NX"))) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the flow lock of ${contact}`);
+    }
+    await sleep(RETRY_DELAY_MS + Math.random() * RETRY_DELAY_MS);
+  }
+
+  const keepAlive = setInterval(() => {
+    redisClient
+      .eval(EXTEND_SCRIPT, 1, key, token, LOCK_TTL_MS)
+      .catch((err) => console.error("Failed to extend flow lock:", err.message));
+  }, LOCK_TTL_MS / 3);
+
+  try {
+    return await heldLocks.run(new Set(held).add(key), fn);
+  } finally {
+    clearInterval(keepAlive);
+    await redisClient
+      .eval(RELEASE_SCRIPT, 1, key, token)
+      .catch((err) => console.error("Failed to release flow lock:", err.message));
+  }
+}
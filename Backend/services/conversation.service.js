@@ -0,0 +1,252 @@
+import conversationModel from "../models/conversation.model.js";
+import messageModel from "../models/message.model.js";
+import projectModel from "../models/project.model.js";
+import { getSession } from "./session.service.js";
+import { sendEmail } from "./email.Service.js";
+import { sendWhatsappMessage } from "./whatsapp.service.js";
+import { publishConversationEvent } from "./realtime.service.js";
+
+// Returns the conversation if a person has taken it over, otherwise null
+export const getAgentConversation = async (projectId, contact) => {
+  return await conversationModel.findOne({
+    project: projectId,
+    contact,
+    status: "agent",
+  });
+};
+
+// Marks the conversation as assigned to an agent; the flow stops replying
+export const startHandoff = async ({
+  projectId,
+  contact,
+  nodeId,
+  resumeNodeId,
+  reason,
+  assignedTo,
+}) => {
+  const conversation = await conversationModel.findOneAndUpdate(
+    { project: projectId, contact },
+    {
+      status: "agent",
+      assignedTo: assignedTo || null,
+      handoff: {
+        nodeId,
+        resumeNodeId: resumeNodeId || null,
+        reason,
+        startedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await publishConversationEvent(projectId, "conversation", conversation);
+  return conversation;
+};
+
+// Emails every project member that a contact is waiting for a person
+export const notifyHandoff = async ({ projectId, contact, reason }) => {
+  const project = await projectModel
+    .findById(projectId)
+    .populate("users", "email");
+  if (!project) return;
+
+  const subject = `[${project.name}] A contact is waiting for an agent`;
+  const text = [
+    `The flow handed ${contact} over to a person.`,
+    reason ? `Reason: ${reason}` : null,
+    "Automated replies are paused until the conversation is released.",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const results = await Promise.allSettled(
+    project.users.map((user) => sendEmail(user.email, subject, text))
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.error("Handoff notification failed:", result.reason?.message)
+    );
+};
+
+// The functions below take the project requireProjectAccess loaded; their
+// routes check the caller's role
+export const getHandoffsByProject = async ({ project }) => {
+  return await conversationModel
+    .find({ project: project._id, status: "agent" })
+    .sort({ "handoff.startedAt": 1 });
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Lists the project's conversations, most recent first, together with the
+ * flow node each contact is currently at. `phone` matches part of the
+ * contact number; `from` and `to` bound the last message date.
+ */
+export const getConversationsByProject = async ({
+  project,
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+  phone,
+  from,
+  to,
+}) => {
+  const projectId = project._id;
+  const filter = { project: projectId };
+  const digits = (phone || "").replace(/\D/g, "");
+  if (digits) filter.contact = { $regex: digits };
+  if (from || to) {
+    filter["lastMessage.at"] = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    };
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || 1, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(Number(page) || 1, 1);
+
+  const [conversations, total] = await Promise.all([
+    conversationModel
+      .find(filter)
+      .sort({ "lastMessage.at": -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("assignedTo", "fullname email")
+      .lean(),
+    conversationModel.countDocuments(filter),
+  ]);
+
+  const nodesById = new Map(
+    project.fileTree.nodes.map((node) => [node.id, node])
+  );
+
+  const items = await Promise.all(
+    conversations.map(async (conversation) => {
+      const nodeId =
+        conversation.status === "agent"
+          ? conversation.handoff?.nodeId
+          : (await getSession(projectId, conversation.contact))
+              ?.currentNodeId;
+      const node = nodeId ? nodesById.get(nodeId) : null;
+
+      return {
+        ...conversation,
+        currentNode: node
+          ? { id: node.id, type: node.type, label: node.data?.label }
+          : null,
+      };
+    })
+  );
+
+  return {
+    conversations: items,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+export const getConversationMessages = async ({ project, contact }) => {
+  return await messageModel
+    .find({ project: project._id, contact })
+    .sort({ createdAt: 1 })
+    .populate("sentBy", "fullname");
+};
+
+// A project member takes the conversation over from the flow
+export const assignConversation = async ({ project, contact, userId }) => {
+  const projectId = project._id;
+  const existing = await getAgentConversation(projectId, contact);
+  if (existing) {
+    existing.assignedTo = userId;
+    await existing.save();
+    await publishConversationEvent(projectId, "conversation", existing);
+    return existing;
+  }
+
+  return await startHandoff({
+    projectId,
+    contact,
+    reason: "Taken over from the inbox",
+    assignedTo: userId,
+  });
+};
+
+/**
+ * Sends a message written by a project member. The conversation is assigned
+ * to them first so the flow does not answer at the same time.
+ */
+export const replyAsAgent = async ({ project, contact, userId, text }) => {
+  const projectId = project._id;
+  if (!(await getAgentConversation(projectId, contact))) {
+    await assignConversation({ project, contact, userId });
+  }
+
+  const response = await sendWhatsappMessage({
+    to: contact,
+    text,
+    projectId,
+    sentBy: userId,
+  });
+
+  return await messageModel
+    .findOne({
+      project: projectId,
+      waMessageId: response?.messages?.[0]?.id,
+    })
+    .populate("sentBy", "fullname");
+};
+
+// Ends the conversation; the contact's next message starts the flow again
+export const closeConversation = async ({ project, contact }) => {
+  const projectId = project._id;
+  const conversation = await conversationModel.findOneAndUpdate(
+    { project: projectId, contact },
+    { status: "closed", assignedTo: null },
+    { new: true }
+  );
+  if (!conversation) throw new Error("Conversation not found");
+
+  await publishConversationEvent(projectId, "conversation", conversation);
+  return conversation;
+};
+
+/**
+ * Hands the conversation back to the flow. Returns the node the flow should
+ * resume at, which is the override, the handoff node's configured node or
+ * null to wait for the contact's next message.
+ */
+export const releaseConversation = async ({
+  project,
+  contact,
+  userId,
+  resumeNodeId,
+}) => {
+  const projectId = project._id;
+  const conversation = await getAgentConversation(projectId, contact);
+  if (!conversation) {
+    throw new Error("Conversation is not assigned to an agent");
+  }
+
+  const nextNodeId = resumeNodeId || conversation.handoff?.resumeNodeId;
+  if (
+    nextNodeId &&
+    !project.fileTree.nodes.some((node) => node.id === nextNodeId)
+  ) {
+    throw new Error("Resume node not found in the flow");
+  }
+
+  conversation.status = "bot";
+  conversation.assignedTo = null;
+  conversation.handoff.releasedAt = new Date();
+  conversation.handoff.releasedBy = userId;
+  await conversation.save();
+
+  await publishConversationEvent(projectId, "conversation", conversation);
+  return { conversation, resumeNodeId: nextNodeId || null };
+};
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import messageModel from "../models/message.model.js";
+import { publishConversationEvent } from "./realtime.service.js";
+
+// Edge label that routes a contact onward when a node's message is not delivered
+export const DELIVERY_FAILED_LABEL = "Delivery Failed";
+
+// Node types whose sent messages can take the delivery-failed edge
+export const DELIVERY_TRACKED_NODE_TYPES = [
+  "message",
+  "buttons",
+  "askaQuestion",
+  "media",
+  "template",
+];
+
+// Statuses can arrive out of order; a later one never moves a message back
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
+/**
+ * Records a delivery status on the outbound message it belongs to.
+ * Returns the updated message, or null when the status is stale or the
+ * message is unknown (e.g. sent before messages were stored). A retried
+ * "failed" status also returns the message while its failure has not been
+ * handled (see markFailureHandled), so the branch still runs.
+ */
+export async function applyStatusUpdate({ projectId, update }) {
+  if (!update.waMessageId || !STATUS_RANK[update.status]) return null;
+
+  const lowerStatuses = Object.keys(STATUS_RANK).filter(
+    (status) => STATUS_RANK[status] < STATUS_RANK[update.status]
+  );
+
+  const message = await messageModel.findOneAndUpdate(
+    {
+      project: projectId,
+      waMessageId: update.waMessageId,
+      direction: "outbound",
+      $or: [{ status: { $exists: false } }, { status: { $in: lowerStatuses } }],
+    },
+    {
+      status: update.status,
+      statusAt: update.at,
+      ...(update.error && { error: update.error }),
+    },
+    { new: true }
+  );
+
+  if (message) {
+    await publishConversationEvent(projectId, "message", message);
+    return message;
+  }
+
+  if (update.status !== "failed") return null;
+  return await messageModel.findOne({
+    project: projectId,
+    waMessageId: update.waMessageId,
+    direction: "outbound",
+    status: "failed",
+    failureHandledAt: null,
+  });
+}
+
+// Records that a failed message's "Delivery Failed" branch has run
+export async function markFailureHandled(message) {
+  await messageModel.updateOne(
+    { _id: message._id },
+    { failureHandledAt: new Date() }
+  );
+}
+
+// Outbound message counts per flow node and status, with the latest failure
+export async function getDeliveryStatsByNode({ projectId }) {
+  const rows = await messageModel.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(String(projectId)),
+        direction: "outbound",
+        nodeId: { $exists: true, $ne: null },
+      },
+    },
+    { $sort: { statusAt: 1 } },
+    {
+      $group: {
+        _id: { nodeId: "$nodeId", status: { $ifNull: ["$status", "sent"] } },
+        count: { $sum: 1 },
+        lastError: { $last: "$error" },
+        lastAt: { $last: "$statusAt" },
+      },
+    },
+  ]);
+
+  const stats = {};
+  for (const row of rows) {
+    const { nodeId, status } = row._id;
+    stats[nodeId] ??= {
+      nodeId,
+      sent: 0,
+      delivered: 0,
+      read: 0,
+      failed: 0,
+      lastError: null,
+    };
+    stats[nodeId][status] = row.count;
+    if (status === "failed") {
+      stats[nodeId].lastError = { ...row.lastError, at: row.lastAt };
+    }
+  }
+
+  return Object.values(stats);
+}
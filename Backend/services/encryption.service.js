@@ -0,0 +1,93 @@
+import crypto from "crypto";
+
+// Secrets are stored as enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (AES-256-GCM).
+// TOKEN_ENCRYPTION_KEY encrypts; TOKEN_ENCRYPTION_PREVIOUS_KEYS (comma separated)
+// can still decrypt values written before a key rotation.
+const PREFIX = "enc:v1";
+const ALGORITHM = "aes-256-gcm";
+
+function parseKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error("Encryption keys must be 32 bytes, as hex or base64");
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+function getCurrentKey() {
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not set");
+  }
+  return parseKey(process.env.TOKEN_ENCRYPTION_KEY);
+}
+
+function getKeyById(id) {
+  const candidates = [
+    process.env.TOKEN_ENCRYPTION_KEY,
+    ...(process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || "").split(","),
+  ]
+    .map((value) => value?.trim())
+    .filter(Boolean)
+    .map(parseKey);
+
+  const key = candidates.find((candidate) => keyId(candidate) === id);
+  if (!key) throw new Error(`No encryption key available for key id ${id}`);
+  return key;
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+}
+
+export function encryptSecret(plainText) {
+  const key = getCurrentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(plainText, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    keyId(key),
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    encrypted.toString("base64"),
+  ].join(":");
+}
+
+// Values stored before encryption was introduced are returned unchanged
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, , id, iv, authTag, encrypted] = value.split(":");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKeyById(id),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// True when the value is plain text or was encrypted with an older key
+export function needsReencryption(value) {
+  if (!isEncrypted(value)) return true;
+  return value.split(":")[2] !== keyId(getCurrentKey());
+}
+
+// Shows only the last 4 characters, e.g. "****abcd"
+export function maskSecret(lastFour) {
+  return `****${lastFour || ""}`;
+}
@@ -1,11 +1,41 @@
 import projectModel from "../models/project.model.js";
-import redisClient from "./redis.service.js";
-import {sendWhatsappMessage, sendWhatsappMedia} from "./whatsapp.service.js";
+import {
+  sendWhatsappMessage,
+  sendWhatsappMedia,
+  sendWhatsappTemplate,
+} from "./whatsapp.service.js";
+import {evaluateConditions} from "./condition.service.js";
+import {
+  getVariable,
+  setVariable,
+  applyVariableOperation,
+} from "./variable.service.js";
+import {
+  getSession,
+  getExpiredSession,
+  loadSession,
+  updateSession,
+  moveToNode,
+  exitFlow,
+  resetExpiredSession,
+} from "./session.service.js";
+import {assignSplitBranch, markSplitCompleted} from "./split.service.js";
+import {
+  getTemplateForProject,
+  buildTemplateComponents,
+} from "./template.service.js";
+import {
+  getAgentConversation,
+  startHandoff,
+  notifyHandoff,
+} from "./conversation.service.js";
+import {DELIVERY_FAILED_LABEL} from "./deliveryStatus.service.js";
+import {withContactLock} from "./contactLock.service.js";
 import _ from "lodash";
 import axios from "axios";
 
 // interpolation function for contact properties
-async function interpolate(str, projectId, senderWaPhoneNo) {
+async function interpolate(str, session) {
   if (!str || typeof str !== "string") return str;
 
   const regex = /{{(.*?)}}/g;
@@ -13,14 +43,13 @@ async function interpolate(str, projectId, senderWaPhoneNo) {
 
   for (const match of matches) {
     const variable = match[1].trim();
-    const redisKey = `${projectId}_${senderWaPhoneNo}_${variable}`;
 
     try {
-      const value = await redisClient.get(redisKey);
+      const value = await getVariable(session, variable);
       console.log(value);
       str = str.replace(match[0], value || "");
     } catch (error) {
-      console.error(`Error fetching ${redisKey} from Redis:`, error);
+      console.error(`Error fetching variable ${variable}:`, error);
       str = str.replace(match[0], "");
     }
   }
@@ -44,44 +73,98 @@ function findNextNode(sourceNodeId, edges, conditionLabel = null) {
       )?.target || null
     );
   }
-  return edges.find((e) => e.source === sourceNodeId)?.target || null;
+  // The delivery-failed edge is only taken when WhatsApp reports a failure
+  return (
+    edges.find(
+      (e) =>
+        e.source === sourceNodeId &&
+        normalizeLabel(e.label || "") !== normalizeLabel(DELIVERY_FAILED_LABEL)
+    )?.target || null
+  );
 }
 
-// Get project fileTree from DB
-async function getProjectFileTree(projectId) {
+// Question validation types answered with an inbound media message
+const MEDIA_QUESTION_TYPES = ["image", "video", "audio", "document"];
+
+const NON_TEXT_ANSWER_PROMPTS = {
+  image: "Please send an image.",
+  video: "Please send a video.",
+  audio: "Please send a voice note or audio file.",
+  document: "Please send a document.",
+  location: "Please share a location.",
+};
+
+// Get project fileTree, its version and session settings from DB.
+// The session timeout is configured on the flow's start node.
+async function getProjectFlow(projectId) {
   try {
-    const project = await projectModel.findById(projectId).select("fileTree");
-    return project?.fileTree || null;
+    const project = await projectModel
+      .findById(projectId)
+      .select("fileTree flowVersion");
+    if (!project?.fileTree) return null;
+
+    const startNode = project.fileTree.nodes.find((n) => n.type === "start");
+    const {sessionTimeoutMinutes, timeoutNodeId} =
+      startNode?.data?.properties || {};
+    return {
+      fileTree: project.fileTree,
+      flowVersion: project.flowVersion || 0,
+      timeoutMinutes:
+        Number(sessionTimeoutMinutes) > 0 ? Number(sessionTimeoutMinutes) : null,
+      timeoutNodeId: timeoutNodeId || null,
+    };
   } catch (error) {
     console.error("Error fetching project fileTree:", error);
     return null;
   }
 }
 
-export async function processMessage({
+// Every entry point that reads or changes a contact's flow state holds the
+// contact's lock, so concurrent messages from one person run one at a time
+export async function processMessage(message) {
+  return withContactLock(message.projectId, message.senderWaPhoneNo, () =>
+    runMessage(message)
+  );
+}
+
+async function runMessage({
   projectId,
   senderWaPhoneNo,
   messageText,
   buttonReplyId,
+  listReplyId,
+  event = null,
 }) {
-  const userStateKey = `flow-state:${senderWaPhoneNo}:${projectId}`;
-  const fileTree = await getProjectFileTree(projectId);
-  if (!fileTree) return;
+  // A person has taken over; the message is already in their inbox
+  if (await getAgentConversation(projectId, senderWaPhoneNo)) return;
+
+  // List rows use the same ids as reply buttons, so both are matched alike
+  buttonReplyId = buttonReplyId || listReplyId;
+  const sendKeys = createSendKeys(event?.id);
+  const flow = await getProjectFlow(projectId);
+  if (!flow) return;
+  const {fileTree, flowVersion} = flow;
+  const session = await loadSession(
+    projectId,
+    senderWaPhoneNo,
+    flow.timeoutMinutes
+  );
+  if (event?.id && session.lastMessageId === event.id) {
+    console.log(`Message ${event.id} already ran for ${senderWaPhoneNo}`);
+    return;
+  }
+  // Stored with the first step this message saves
+  session.lastMessageId = event?.id || null;
+  // The contact is back, so a later timeout may run the timeout branch again
+  session.timedOutAt = null;
 
   const normalizedInput = buttonReplyId
     ? buttonReplyId.trim().toLowerCase()
     : normalizeLabel(messageText || "");
 
   // 1. Handle awaiting button response
-  let awaiting;
-  try {
-    const awaitingStr = await redisClient.get(
-      `${userStateKey}:awaitingButtonResponse`
-    );
-    if (awaitingStr) awaiting = JSON.parse(awaitingStr);
-  } catch (error) {
-    console.error("Redis read error:", error);
-  }
+  const awaiting =
+    session.pendingInput?.type === "buttons" ? session.pendingInput : null;
 
   if (awaiting) {
     const {nodeId, buttons} = awaiting;
@@ -113,34 +196,23 @@ export async function processMessage({
       );
 
       if (nextNodeId) {
-        await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
-        await redisClient.del(`${userStateKey}:awaitingButtonResponse`);
-        await redisClient.del(`${userStateKey}:buttonInvalidCount`);
+        await moveToNode(session, nextNodeId);
 
+        // The reply is used up by this match and not passed on
         console.log(`➡ Moving to next node: ${nextNodeId}`);
         await executeNode(nextNodeId, {
           projectId,
           senderWaPhoneNo,
-          messageText,
           fileTree,
-          userStateKey,
-          buttonReplyId,
+          session,
+          sendKeys,
         });
         return;
       }
     } else {
       console.warn("No matching button found.");
 
-      const invalidCountKey = `${userStateKey}:buttonInvalidCount`;
-      let invalidCount = 0;
-      try {
-        const countStr = await redisClient.get(invalidCountKey);
-        invalidCount = countStr ? parseInt(countStr, 10) : 0;
-      } catch (err) {
-        console.error("Error reading invalid count from Redis:", err);
-      }
-
-      invalidCount += 1;
+      const invalidCount = session.retries + 1;
 
       if (invalidCount >= 3) {
         console.warn(
@@ -151,11 +223,11 @@ export async function processMessage({
           to: senderWaPhoneNo,
           text: `You've entered too many invalid responses (3/3).\nEnding this session. Please try again later if needed.`,
           projectId,
+          nodeId,
+          dedupeKey: sendKeys(nodeId),
         });
 
-        await redisClient.del(userStateKey);
-        await redisClient.del(`${userStateKey}:awaitingButtonResponse`);
-        await redisClient.del(invalidCountKey);
+        await exitFlow(session);
 
         const endNode = fileTree.nodes.find((n) => n.type === "end");
         if (endNode) {
@@ -164,7 +236,8 @@ export async function processMessage({
             senderWaPhoneNo,
             messageText,
             fileTree,
-            userStateKey,
+            session,
+            sendKeys,
             buttonReplyId,
           });
         }
@@ -172,17 +245,14 @@ export async function processMessage({
         return;
       }
 
-      await redisClient.set(
-        invalidCountKey,
-        invalidCount.toString(),
-        "EX",
-        3600
-      );
+      await updateSession(session, {retries: invalidCount});
 
       await sendWhatsappMessage({
         to: senderWaPhoneNo,
         text: `Invalid response. Please choose one of the buttons. (${invalidCount}/3 attempts used)`,
         projectId,
+        nodeId,
+        dedupeKey: sendKeys(nodeId),
       });
 
       return;
@@ -208,16 +278,13 @@ export async function processMessage({
           normalizeLabel(matchedLabel)
         );
         if (nextNodeId) {
-          await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
-          await redisClient.del(`${userStateKey}:awaitingButtonResponse`);
-          await redisClient.del(`${userStateKey}:buttonInvalidCount`);
+          await moveToNode(session, nextNodeId);
           await executeNode(nextNodeId, {
             projectId,
             senderWaPhoneNo,
-            messageText,
             fileTree,
-            userStateKey,
-            buttonReplyId,
+            session,
+            sendKeys,
           });
           return;
         }
@@ -226,12 +293,7 @@ export async function processMessage({
   }
 
   // 3. Continue or start normal flow
-  let currentNodeId = null;
-  try {
-    currentNodeId = await redisClient.get(userStateKey);
-  } catch (err) {
-    console.error("Redis error while getting currentNodeId:", err);
-  }
+  let currentNodeId = session.currentNodeId;
 
   if (!currentNodeId) {
     const startNode = fileTree.nodes.find((node) => node.type === "start");
@@ -240,6 +302,8 @@ export async function processMessage({
       return;
     }
     currentNodeId = startNode.id;
+    // A new run of the flow; saved with the first node it moves to
+    Object.assign(session, {flowVersion, startedAt: new Date().toISOString()});
   }
 
   //------------------------------ question - node starts-------------------------------//
@@ -247,28 +311,47 @@ export async function processMessage({
   const currentNode = fileTree.nodes.find((n) => n.id === currentNodeId);
   if (!currentNode) {
     console.error("Current node not found in fileTree.");
-    await redisClient.del(userStateKey);
+    await exitFlow(session);
     return;
   }
 
   if (currentNode.type === "askaQuestion") {
-    const askedFlag = await redisClient.get(`${userStateKey}:asked`);
+    const asked =
+      session.pendingInput?.type === "question" &&
+      session.pendingInput.nodeId === currentNodeId;
 
-    if (askedFlag) {
+    if (asked) {
       const variableName = currentNode.data?.properties?.propertyName;
       const validationType = currentNode.data?.properties?.validationType;
       const numberOfRepeats = parseInt(
         currentNode.data?.properties?.numberOfRepeats || "3",
         10
       );
-      const retryKey = `${userStateKey}:retries`;
-
-      const retryCount = parseInt((await redisClient.get(retryKey)) || "0", 10);
+      const retryCount = session.retries;
 
       let isValid = true;
-      const input = messageText.trim();
-
-      if (validationType === "email") {
+      let input = (messageText || "").trim();
+      let answerDetails = {};
+
+      if (MEDIA_QUESTION_TYPES.includes(validationType)) {
+        isValid = event?.type === validationType && Boolean(event.media?.id);
+        if (isValid) {
+          input = event.media.id;
+          answerDetails = {
+            caption: event.media.caption,
+            filename: event.media.filename,
+            mime_type: event.media.mimeType,
+            url: event.media.storedUrl,
+          };
+        }
+      } else if (validationType === "location") {
+        isValid = event?.type === "location" && Boolean(event.location);
+        if (isValid) {
+          const {latitude, longitude, name, address} = event.location;
+          input = `${latitude},${longitude}`;
+          answerDetails = {latitude, longitude, name, address};
+        }
+      } else if (validationType === "email") {
         isValid = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input);
       } else if (validationType === "phone number") {
         isValid = /^\+?\d{10,15}$/.test(input);
@@ -286,43 +369,47 @@ export async function processMessage({
           //   text: "Too many invalid attempts. Ending flow.",
           //   projectId,
           // });
-          // await redisClient.del(userStateKey);
-          await redisClient.del(`${userStateKey}:asked`);
-          await redisClient.del(retryKey);
+          // await exitFlow(session);
           const nextNodeId = findNextNode(
             currentNodeId,
             fileTree.edges,
             "Failure"
           );
-          await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
+          await moveToNode(session, nextNodeId);
           await executeNode(nextNodeId, {
             projectId,
             senderWaPhoneNo,
             messageText,
             fileTree,
-            userStateKey,
+            session,
+            sendKeys,
           });
           return;
         }
 
-        await redisClient.set(retryKey, retryCount + 1, "EX", 3600);
+        await updateSession(session, {retries: retryCount + 1});
         await sendWhatsappMessage({
           to: senderWaPhoneNo,
-          text: `Please provide a valid ${validationType}.`,
+          text:
+            NON_TEXT_ANSWER_PROMPTS[validationType] ||
+            `Please provide a valid ${validationType}.`,
           projectId,
+          nodeId: currentNodeId,
+          dedupeKey: sendKeys(currentNodeId),
         });
         return;
       }
 
       // Store valid answer
       if (variableName) {
-        await redisClient.set(
-          `${projectId}_${senderWaPhoneNo}_${variableName}`,
-          input,
-          "EX",
-          3600
-        );
+        await setVariable(session, variableName, input);
         console.log(`Stored variable ${variableName} = ${input}`);
+
+        // Media and location answers also keep their details, e.g. {{receipt_caption}}
+        for (const [key, value] of Object.entries(answerDetails)) {
+          if (value === undefined || value === null || value === "") continue;
+          await setVariable(session, `${variableName}_${key}`, value);
+        }
       }
 
       const nextNodeId = findNextNode(
@@ -331,18 +418,17 @@ export async function processMessage({
         "Success"
       );
       if (nextNodeId) {
-        await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
-        await redisClient.del(`${userStateKey}:asked`);
-        await redisClient.del(retryKey);
+        await moveToNode(session, nextNodeId);
         await executeNode(nextNodeId, {
           projectId,
           senderWaPhoneNo,
           messageText,
           fileTree,
-          userStateKey,
+          session,
+          sendKeys,
         });
       } else {
-        await redisClient.del(userStateKey);
+        await finishFlow(session);
         console.log("No next node after question.");
       }
       return;
@@ -355,18 +441,179 @@ export async function processMessage({
     senderWaPhoneNo,
     messageText,
     fileTree,
-    userStateKey,
+    session,
+    sendKeys,
     buttonReplyId,
   });
 }
 
+// Forgets where a contact is in the flow; their next message starts over
+export async function resetFlowState({projectId, senderWaPhoneNo}) {
+  return withContactLock(projectId, senderWaPhoneNo, async () => {
+    const session = await getSession(projectId, senderWaPhoneNo);
+    if (session) await exitFlow(session);
+  });
+}
+
+// Continues the flow for a contact after an agent released the conversation
+export async function resumeFlow({projectId, senderWaPhoneNo, nodeId}) {
+  return withContactLock(projectId, senderWaPhoneNo, () =>
+    runResumeFlow({projectId, senderWaPhoneNo, nodeId})
+  );
+}
+
+async function runResumeFlow({projectId, senderWaPhoneNo, nodeId}) {
+  const flow = nodeId ? await getProjectFlow(projectId) : null;
+
+  // Without a node to resume at, the contact's next message starts over
+  const session = await loadSession(
+    projectId,
+    senderWaPhoneNo,
+    flow?.timeoutMinutes
+  );
+  await moveToNode(session, flow ? nodeId : null);
+  if (!flow) return;
+
+  await executeNode(nodeId, {
+    projectId,
+    senderWaPhoneNo,
+    fileTree: flow.fileTree,
+    session,
+  });
+}
+
+/**
+ * Moves the contact down the node's "Delivery Failed" edge after WhatsApp
+ * reported that a message sent by that node could not be delivered.
+ * Returns true when the flow was continued.
+ */
+export async function handleDeliveryFailure(failure) {
+  return withContactLock(failure.projectId, failure.senderWaPhoneNo, () =>
+    runDeliveryFailure(failure)
+  );
+}
+
+async function runDeliveryFailure({
+  projectId,
+  senderWaPhoneNo,
+  nodeId,
+  waMessageId,
+}) {
+  if (await getAgentConversation(projectId, senderWaPhoneNo)) return false;
+
+  const flow = await getProjectFlow(projectId);
+  if (!flow) return false;
+  const {fileTree} = flow;
+
+  const nextNodeId = findNextNode(nodeId, fileTree.edges, DELIVERY_FAILED_LABEL);
+  if (!nextNodeId) return false;
+
+  const session = await loadSession(
+    projectId,
+    senderWaPhoneNo,
+    flow.timeoutMinutes
+  );
+  await moveToNode(session, nextNodeId);
+  await executeNode(nextNodeId, {
+    projectId,
+    senderWaPhoneNo,
+    fileTree,
+    session,
+    sendKeys: createSendKeys(waMessageId && `failed:${waMessageId}`),
+  });
+  return true;
+}
+
+/**
+ * Called by the session timeout job for a session whose inactivity timeout
+ * passed. Runs the flow's timeout branch once when the contact was in the
+ * middle of the flow, and otherwise only takes the contact back to the start,
+ * keeping their variables.
+ */
+export async function handleSessionTimeout({projectId, contact}) {
+  return withContactLock(projectId, contact, () =>
+    runSessionTimeout({projectId, contact})
+  );
+}
+
+async function runSessionTimeout({projectId, contact}) {
+  // The contact wrote again since the session was claimed
+  const session = await getExpiredSession(projectId, contact);
+  if (!session) return;
+
+  const flow = await getProjectFlow(projectId);
+  const timeoutNodeId = flow?.timeoutNodeId;
+  const runBranch =
+    session.currentNodeId &&
+    !session.timedOutAt &&
+    timeoutNodeId &&
+    flow.fileTree.nodes.some((n) => n.id === timeoutNodeId) &&
+    !(await getAgentConversation(projectId, contact));
+
+  if (!runBranch) {
+    await resetExpiredSession(session);
+    return;
+  }
+
+  console.log(`Session of ${contact} timed out, running ${timeoutNodeId}`);
+  session.timeoutMinutes = flow.timeoutMinutes;
+  session.timedOutAt = new Date().toISOString();
+  await moveToNode(session, timeoutNodeId);
+  await executeNode(timeoutNodeId, {
+    projectId,
+    senderWaPhoneNo: contact,
+    fileTree: flow.fileTree,
+    session,
+    sendKeys: createSendKeys(`timeout:${session.timedOutAt}`),
+  });
+}
+
+// Dedupe keys for the sends caused by one inbound event. The same event,
+// node and send number always give the same key, so a retried webhook job
+// skips messages an earlier attempt already delivered.
+function createSendKeys(scope) {
+  if (!scope) return () => undefined;
+  const counts = {};
+  return (nodeId) => {
+    counts[nodeId] = (counts[nodeId] || 0) + 1;
+    return `${scope}:${nodeId}:${counts[nodeId]}`;
+  };
+}
+
+// Takes the contact out of a flow they got to the end of: an end node, a
+// node with no way on, or a handoff. Their split branches count as completed.
+async function finishFlow(session) {
+  await exitFlow(session);
+  try {
+    await markSplitCompleted({
+      projectId: session.projectId,
+      contact: session.contact,
+    });
+  } catch (error) {
+    console.error("Failed to record split completion:", error);
+  }
+}
+
+// Upper bound on nodes executed for a single incoming message, so a loop
+// built with jump nodes cannot recurse forever
+const MAX_STEPS_PER_MESSAGE = 50;
+
 // Executes a node in the flow
 async function executeNode(nodeId, context) {
-  const {projectId, senderWaPhoneNo, fileTree, userStateKey} = context;
+  const {projectId, senderWaPhoneNo, fileTree, session} = context;
   const node = fileTree.nodes.find((n) => n.id === nodeId);
   if (!node) {
     console.error(`Node with ID ${nodeId} not found.`);
-    await redisClient.del(userStateKey);
+    await exitFlow(session);
+    return;
+  }
+
+  context.steps = (context.steps || 0) + 1;
+  if (context.steps > MAX_STEPS_PER_MESSAGE) {
+    console.error(
+      `Step limit of ${MAX_STEPS_PER_MESSAGE} reached at node ${node.id}. Stopping flow for ${senderWaPhoneNo}.`
+    );
+    await exitFlow(session);
     return;
   }
 
@@ -376,8 +623,10 @@ async function executeNode(nodeId, context) {
   if (quickReply) {
     await sendWhatsappMessage({
       to: context.senderWaPhoneNo,
-      text: await interpolate(quickReply, projectId, senderWaPhoneNo),
+      text: await interpolate(quickReply, session),
       projectId: context.projectId,
+      nodeId: node.id,
+      dedupeKey: context.sendKeys?.(node.id),
     });
   }
 
@@ -392,8 +641,10 @@ async function executeNode(nodeId, context) {
       const message = node.data?.properties?.message || "Default message";
       await sendWhatsappMessage({
         to: context.senderWaPhoneNo,
-        text: await interpolate(message, projectId, senderWaPhoneNo),
+        text: await interpolate(message, session),
         projectId: context.projectId,
+        nodeId: node.id,
+        dedupeKey: context.sendKeys?.(node.id),
       });
       nextNodeId = findNextNode(node.id, fileTree.edges);
       break;
@@ -413,6 +664,164 @@ async function executeNode(nodeId, context) {
       );
       break;
 
+    case "condition": {
+      const conditions = node.data?.properties?.conditions || [];
+
+      const matchedLabel = await evaluateConditions(
+        conditions,
+        async (variable) => {
+          try {
+            return await getVariable(session, variable);
+          } catch (error) {
+            console.error(`Error fetching variable ${variable}:`, error);
+            return null;
+          }
+        },
+        (value) => interpolate(value, session)
+      );
+
+      console.log(`Condition node ${node.id} resolved to "${matchedLabel}"`);
+      nextNodeId = findNextNode(node.id, fileTree.edges, matchedLabel);
+      break;
+    }
+
+    case "setVariable": {
+      const assignments = node.data?.properties?.assignments || [];
+
+      for (const {variable, operation, valueType, value} of assignments) {
+        const name = variable?.trim();
+        if (!name) continue;
+
+        let resolvedValue = value;
+        if (valueType === "variable") {
+          resolvedValue = (await getVariable(session, value?.trim())) || "";
+        } else if (valueType !== "literal") {
+          resolvedValue = await interpolate(value, session);
+        }
+
+        try {
+          const stored = await applyVariableOperation(
+            session,
+            name,
+            operation,
+            resolvedValue
+          );
+          console.log(`Set variable ${name} (${operation || "set"}) = ${stored}`);
+        } catch (error) {
+          console.error(`Failed to update variable ${name}:`, error.message);
+        }
+      }
+
+      nextNodeId = findNextNode(node.id, fileTree.edges);
+      break;
+    }
+
+    case "random": {
+      const branches = node.data?.properties?.branches || [];
+
+      let branch = null;
+      try {
+        branch = await assignSplitBranch({
+          projectId,
+          nodeId: node.id,
+          contact: senderWaPhoneNo,
+          branches,
+        });
+      } catch (error) {
+        console.error("Failed to assign split branch:", error);
+      }
+
+      console.log(`Split node ${node.id} assigned branch "${branch}"`);
+      nextNodeId = branch
+        ? findNextNode(node.id, fileTree.edges, branch)
+        : null;
+      break;
+    }
+
+    case "goto": {
+      const targetNodeId = node.data?.properties?.targetNodeId;
+      if (targetNodeId && fileTree.nodes.some((n) => n.id === targetNodeId)) {
+        console.log(`Jumping from ${node.id} to ${targetNodeId}`);
+        nextNodeId = targetNodeId;
+      } else {
+        console.warn(`Go To node ${node.id} has no valid target.`);
+      }
+      break;
+    }
+
+    case "media": {
+      const {
+        mediaType = "image",
+        mediaUrl,
+        caption,
+        filename,
+      } = node.data?.properties || {};
+
+      try {
+        const source = (await interpolate(mediaUrl, session))?.trim();
+        if (!source) throw new Error("Media URL or variable is empty.");
+
+        // Variables can hold a WhatsApp media ID instead of a link
+        const isLink = /^https?:\/\//i.test(source);
+
+        await sendWhatsappMedia({
+          to: senderWaPhoneNo,
+          type: mediaType,
+          content: {
+            ...(isLink ? {mediaUrl: source} : {mediaId: source}),
+            caption: await interpolate(caption, session),
+            filename: await interpolate(filename, session),
+          },
+          projectId,
+          nodeId: node.id,
+          dedupeKey: context.sendKeys?.(node.id),
+        });
+
+        nextNodeId = findNextNode(node.id, fileTree.edges, "Success");
+      } catch (err) {
+        console.error("Media send failed:", err.message);
+        nextNodeId = findNextNode(node.id, fileTree.edges, "Failure");
+      }
+      break;
+    }
+
+    case "template": {
+      const {
+        templateId,
+        headerParams = [],
+        bodyParams = [],
+        buttonParams = [],
+      } = node.data?.properties || {};
+
+      const fill = (values) =>
+        Promise.all(values.map((value) => interpolate(value || "", session)));
+
+      try {
+        const template = await getTemplateForProject({projectId, templateId});
+        if (!template) throw new Error(`Template ${templateId} not found.`);
+
+        await sendWhatsappTemplate({
+          to: senderWaPhoneNo,
+          projectId,
+          nodeId: node.id,
+          dedupeKey: context.sendKeys?.(node.id),
+          name: template.name,
+          language: template.language,
+          components: buildTemplateComponents(template, {
+            header: await fill(headerParams),
+            body: await fill(bodyParams),
+            buttons: await fill(buttonParams),
+          }),
+        });
+
+        nextNodeId = findNextNode(node.id, fileTree.edges, "Success");
+      } catch (err) {
+        console.error("Template send failed:", err.message);
+        nextNodeId = findNextNode(node.id, fileTree.edges, "Failure");
+      }
+      break;
+    }
+
     case "buttons": {
       const buttonText = node.data?.properties?.message || "Choose an option:";
       const buttons = node.data?.properties?.buttons || [];
@@ -436,9 +845,12 @@ async function executeNode(nodeId, context) {
         );
 
         if (nextNodeId) {
-          await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
-          await redisClient.del(`${userStateKey}:awaitingButtonResponse`);
-          await redisClient.del(`${userStateKey}:buttonInvalidCount`);
+          await moveToNode(session, nextNodeId);
+
+          // The reply is used up here, so a loop back to this node through
+          // a Go To node sends the buttons again instead of re-matching
+          context.buttonReplyId = null;
+          context.messageText = null;
 
           console.log(`Matched and moving to next node: ${nextNodeId}`);
           await executeNode(nextNodeId, context);
@@ -459,38 +871,59 @@ async function executeNode(nodeId, context) {
         },
       }));
 
+      // More than three options are sent as an interactive list
+      const list =
+        formattedButtons.length > 3
+          ? {
+              buttonText: node.data?.properties?.listButtonText,
+              sections: [
+                {
+                  title: node.data?.properties?.sectionTitle || undefined,
+                  rows: formattedButtons.map(({reply}) => ({
+                    id: reply.id,
+                    title: reply.title,
+                  })),
+                },
+              ],
+            }
+          : null;
+
       await sendWhatsappMessage({
         to: context.senderWaPhoneNo,
-        text: await interpolate(buttonText, projectId, senderWaPhoneNo),
+        text: await interpolate(buttonText, session),
         projectId: context.projectId,
+        nodeId: node.id,
+        dedupeKey: context.sendKeys?.(node.id),
         buttons: formattedButtons,
+        list,
       });
 
-      await redisClient.set(
-        `${userStateKey}:awaitingButtonResponse`,
-        JSON.stringify({
-          nodeId: node.id,
-          buttons: buttons,
-        }),
-        "EX",
-        3600
-      );
-      await redisClient.del(`${userStateKey}:buttonInvalidCount`);
+      await updateSession(session, {
+        pendingInput: {type: "buttons", nodeId: node.id, buttons},
+        retries: 0,
+      });
       return;
     }
 
     case "askaQuestion": {
-      const alreadyAsked = await redisClient.get(`${userStateKey}:asked`);
+      const alreadyAsked =
+        session.pendingInput?.type === "question" &&
+        session.pendingInput.nodeId === node.id;
       if (alreadyAsked) return; // already asked, waiting for reply
 
       const questionText = node.data?.properties?.question || "Please reply:";
       await sendWhatsappMessage({
         to: context.senderWaPhoneNo,
         type: "text",
-        text: await interpolate(questionText, projectId, senderWaPhoneNo),
+        text: await interpolate(questionText, session),
         projectId: context.projectId,
+        nodeId: node.id,
+        dedupeKey: context.sendKeys?.(node.id),
+      });
+      await updateSession(session, {
+        pendingInput: {type: "question", nodeId: node.id},
+        retries: 0,
       });
-      await redisClient.set(`${userStateKey}:asked`, "true", "EX", 3600);
       return; // pause until user replies
     }
 
@@ -505,13 +938,12 @@ async function executeNode(nodeId, context) {
       if (!method || !url) break;
 
       try {
-        // Replace {{variable}} in URL from Redis
+        // Replace {{variable}} in URL from the contact's variables
         const variableRegex = /{{(.*?)}}/g;
         let compiledUrl = url;
         for (const match of [...url.matchAll(variableRegex)]) {
           const variableName = match[1];
-          const redisKey = `${context.projectId}_${context.senderWaPhoneNo}_${variableName}`;
-          const variableValue = await redisClient.get(redisKey);
+          const variableValue = await getVariable(session, variableName);
           if (!variableValue)
             throw new Error(`Missing value for variable "${variableName}"`);
           compiledUrl = compiledUrl.replace(
@@ -537,11 +969,13 @@ async function executeNode(nodeId, context) {
 
         await sendWhatsappMedia({
           to: context.senderWaPhoneNo,
-          // type: "document", // default to document
+          type: "document",
           content: {
             mediaUrl: value,
           },
           projectId: context.projectId,
+          nodeId: node.id,
+          dedupeKey: context.sendKeys?.(node.id),
         });
 
         nextNodeId = findNextNode(node.id, fileTree.edges, "Success");
@@ -554,9 +988,48 @@ async function executeNode(nodeId, context) {
       break;
     }
 
+    case "handoff": {
+      const {
+        message,
+        reason,
+        resumeNodeId,
+        notifyMembers = true,
+      } = node.data?.properties || {};
+
+      if (message) {
+        await sendWhatsappMessage({
+          to: senderWaPhoneNo,
+          text: await interpolate(message, session),
+          projectId,
+          nodeId: node.id,
+          dedupeKey: context.sendKeys?.(node.id),
+        });
+      }
+
+      await startHandoff({
+        projectId,
+        contact: senderWaPhoneNo,
+        nodeId: node.id,
+        resumeNodeId: resumeNodeId || findNextNode(node.id, fileTree.edges),
+        reason,
+      });
+      await finishFlow(session);
+
+      if (notifyMembers) {
+        try {
+          await notifyHandoff({projectId, contact: senderWaPhoneNo, reason});
+        } catch (error) {
+          console.error("Failed to notify project members:", error);
+        }
+      }
+
+      console.log(`Conversation with ${senderWaPhoneNo} handed to an agent.`);
+      return;
+    }
+
     case "end":
       console.log("Flow ended by end node.");
-      await redisClient.del(userStateKey);
+      await finishFlow(session);
       return;
 
     default:
@@ -565,15 +1038,17 @@ async function executeNode(nodeId, context) {
         to: context.senderWaPhoneNo,
         text: "Something went wrong. Please try again later.",
         projectId: context.projectId,
+        nodeId: node.id,
+        dedupeKey: context.sendKeys?.(node.id),
       });
-      await redisClient.del(userStateKey);
+      await exitFlow(session);
       return;
   }
 
   const waitForReply = node.data?.properties?.waitForUserReply === true;
 
   if (nextNodeId) {
-    await redisClient.set(userStateKey, nextNodeId, "EX", 3600);
+    await moveToNode(session, nextNodeId);
     if (!waitForReply) {
       await executeNode(nextNodeId, context);
     } else {
@@ -583,6 +1058,6 @@ async function executeNode(nodeId, context) {
     }
   } else {
     console.log(`Flow ended. No next node from ${node.id}.`);
-    await redisClient.del(userStateKey);
+    await finishFlow(session);
   }
 }
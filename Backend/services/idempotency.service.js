@@ -0,0 +1,62 @@
+import redisClient from "./redis.service.js";
+
+// Meta re-delivers webhooks and failed jobs are retried, so the same inbound
+// message can reach us more than once. These keys make sure it runs the flow
+// once and that each node's message is sent once.
+const DEDUPE_TTL_SECONDS = Number(process.env.DEDUPE_TTL_SECONDS) || 24 * 60 * 60;
+const DONE = "done";
+
+const inboundKey = (projectId, waMessageId) =>
+  `inbound-message:${projectId}:${waMessageId}`;
+const outboundKey = (projectId, dedupeKey) =>
+  `outbound-send:${projectId}:${dedupeKey}`;
+
+/**
+ * Claims an inbound message for a webhook job. Returns null when the message
+ * was already handled, or is being handled by another job. The job that
+ * claimed it may claim it again, so its own retries still run; those get
+ * `{retry: true}`.
+ */
+export async function claimInboundMessage(projectId, waMessageId, jobId) {
+  if (!waMessageId) return { retry: false };
+  const key = inboundKey(projectId, waMessageId);
+
+  const owner = jobId || "webhook";
+  if (await redisClient.set(key, owner, "EX", DEDUPE_TTL_SECONDS, "NX")) {
+    return { retry: false };
+  }
+  if (jobId && (await redisClient.get(key)) === jobId) return { retry: true };
+  return null;
+}
+
+export async function completeInboundMessage(projectId, waMessageId) {
+  if (!waMessageId) return;
+  await redisClient.set(
+    inboundKey(projectId, waMessageId),
+    DONE,
+    "EX",
+    DEDUPE_TTL_SECONDS
+  );
+}
+
+/**
+ * Runs `send` unless a send with the same dedupe key already went out.
+ * A failed send releases the key so that a retry can send it.
+ * Returns the send's result, or null when it was skipped.
+ */
+export async function sendOnce(projectId, dedupeKey, send) {
+  if (!dedupeKey) return await send();
+
+  const key = outboundKey(projectId, dedupeKey);
+  if (!(await redisClient.set(key, "1", "EX", DEDUPE_TTL_SECONDS, "NX"))) {
+    console.log(`Skipped duplicate send ${dedupeKey}`);
+    return null;
+  }
+
+  try {
+    return await send();
+  } catch (error) {
+    await redisClient.del(key);
+    throw error;
+  }
+}
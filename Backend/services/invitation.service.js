@@ -0,0 +1,244 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import invitationModel from "../models/invitation.model.js";
+import userModel from "../models/user.model.js";
+import { sendEmail } from "./email.Service.js";
+import {
+  PROJECT_ROLES,
+  addProjectMember,
+  getMemberRole,
+} from "./project.service.js";
+
+const INVITE_PURPOSE = "project-invite";
+
+// Invite links must never pass as login tokens, so they are signed with their
+// own key (derived from JWT_SECRET unless INVITATION_SECRET is set) and audience
+function getInvitationSecret() {
+  return (
+    process.env.INVITATION_SECRET ||
+    crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(INVITE_PURPOSE)
+      .digest("hex")
+  );
+}
+
+function getInvitationTtlDays() {
+  return Number(process.env.INVITATION_TTL_DAYS) || 7;
+}
+
+function signInvitationToken(invitation) {
+  return jwt.sign(
+    {
+      purpose: INVITE_PURPOSE,
+      invitationId: invitation._id.toString(),
+      tokenId: invitation.tokenId,
+    },
+    getInvitationSecret(),
+    { expiresIn: `${getInvitationTtlDays()}d`, audience: INVITE_PURPOSE }
+  );
+}
+
+function getInvitationUrl(token) {
+  const base = process.env.CLIENT_URL || "";
+  return `${base}/invite/${token}`;
+}
+
+// Resolves a token to its invitation, rejecting forged, stale or used links
+async function findInvitationByToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getInvitationSecret(), {
+      audience: INVITE_PURPOSE,
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new Error("Invitation has expired");
+    }
+    throw new Error("Invalid invitation link");
+  }
+
+  if (
+    payload.purpose !== INVITE_PURPOSE ||
+    !mongoose.Types.ObjectId.isValid(payload.invitationId)
+  ) {
+    throw new Error("Invalid invitation link");
+  }
+
+  const invitation = await invitationModel
+    .findById(payload.invitationId)
+    .populate("project", "name")
+    .populate("invitedBy", "fullname email");
+
+  if (!invitation || invitation.tokenId !== payload.tokenId) {
+    throw new Error("Invalid invitation link");
+  }
+  if (invitation.status !== "pending") {
+    throw new Error(`Invitation was already ${invitation.status}`);
+  }
+  if (invitation.expiresAt < new Date()) {
+    throw new Error("Invitation has expired");
+  }
+  return invitation;
+}
+
+async function sendInvitationEmail(invitation, projectName, inviter) {
+  const token = signInvitationToken(invitation);
+  const text = [
+    `${inviter.fullname || inviter.email} invited you to join the project "${projectName}" as ${invitation.role}.`,
+    "",
+    `Open this link to accept or decline: ${getInvitationUrl(token)}`,
+    "",
+    `The invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+  ].join("\n");
+
+  await sendEmail(invitation.email, `Invitation to join ${projectName}`, text);
+}
+
+// Inviting an address that already has a pending invitation re-sends it
+// The project-scoped functions take the project requireProjectAccess loaded;
+// their routes check the caller's role
+export const createInvitation = async ({
+  project,
+  email,
+  role = "editor",
+  userId,
+}) => {
+  if (!PROJECT_ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${PROJECT_ROLES.join(", ")}`);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingUser = await userModel.findOne({ email: normalizedEmail });
+  if (existingUser && getMemberRole(project, existingUser._id)) {
+    throw new Error("User is already a member of this project");
+  }
+
+  const expiresAt = new Date(
+    Date.now() + getInvitationTtlDays() * 24 * 60 * 60 * 1000
+  );
+
+  const pendingFilter = {
+    project: project._id,
+    email: normalizedEmail,
+    status: "pending",
+  };
+  const previous = await invitationModel.findOne(pendingFilter);
+  const invitation = await invitationModel.findOneAndUpdate(
+    pendingFilter,
+    {
+      role,
+      invitedBy: userId,
+      tokenId: crypto.randomBytes(16).toString("hex"),
+      expiresAt,
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    const inviter = await userModel.findById(userId);
+    await sendInvitationEmail(invitation, project.name, inviter);
+  } catch (error) {
+    console.error(
+      `Failed to send the invitation to ${normalizedEmail}:`,
+      error
+    );
+    // Nobody got the new link, so undo it; a re-sent invitation keeps the
+    // link that was sent before
+    if (previous) {
+      await invitationModel.updateOne(
+        { _id: invitation._id },
+        {
+          role: previous.role,
+          invitedBy: previous.invitedBy,
+          tokenId: previous.tokenId,
+          expiresAt: previous.expiresAt,
+        }
+      );
+      throw new Error(
+        "The invitation email could not be sent; the earlier invitation is unchanged"
+      );
+    }
+    await invitationModel.deleteOne({ _id: invitation._id });
+    throw new Error(
+      "The invitation email could not be sent, so no invitation was created"
+    );
+  }
+
+  return invitation;
+};
+
+export const getPendingInvitations = async ({ project }) => {
+  return await invitationModel
+    .find({
+      project: project._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+    .populate("invitedBy", "fullname email")
+    .sort({ createdAt: -1 });
+};
+
+export const revokeInvitation = async ({ project, invitationId }) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new Error("Invalid Invitation ID");
+  }
+
+  const invitation = await invitationModel.findOneAndUpdate(
+    { _id: invitationId, project: project._id, status: "pending" },
+    { status: "revoked", respondedAt: new Date() },
+    { new: true }
+  );
+  if (!invitation) throw new Error("Invitation not found");
+
+  return invitation;
+};
+
+// Public details shown on the invitation page before signing in
+export const getInvitationDetails = async ({ token }) => {
+  const invitation = await findInvitationByToken(token);
+  const hasAccount = !!(await userModel.exists({ email: invitation.email }));
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    project: invitation.project,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    hasAccount,
+  };
+};
+
+export const acceptInvitation = async ({ token, userId }) => {
+  const invitation = await findInvitationByToken(token);
+
+  const user = await userModel.findById(userId);
+  if (!user || user.email.toLowerCase() !== invitation.email) {
+    throw new Error("This invitation was sent to a different email address");
+  }
+
+  const project = await addProjectMember({
+    projectId: invitation.project._id,
+    userId,
+    role: invitation.role,
+  });
+
+  invitation.status = "accepted";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return project;
+};
+
+// Anyone holding the link may decline, so no account is needed
+export const declineInvitation = async ({ token }) => {
+  const invitation = await findInvitationByToken(token);
+
+  invitation.status = "declined";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return { message: "Invitation declined" };
+};
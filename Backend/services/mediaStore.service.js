@@ -0,0 +1,107 @@
+import axios from "axios";
+import mediaModel from "../models/media.model.js";
+import { getProjectCredentials } from "./whatsapp.service.js";
+import * as localDiskStorage from "./storage/localDisk.storage.js";
+
+// Storage backends by name; MEDIA_STORAGE_DRIVER picks one (local disk by default)
+const storageDrivers = {
+  [localDiskStorage.name]: localDiskStorage,
+};
+
+export function registerStorageDriver(driver) {
+  storageDrivers[driver.name] = driver;
+}
+
+function getStorageDriver(name = process.env.MEDIA_STORAGE_DRIVER || "local") {
+  const driver = storageDrivers[name];
+  if (!driver) throw new Error(`Unknown media storage driver: ${name}`);
+  return driver;
+}
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "video/mp4": "mp4",
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "application/pdf": "pdf",
+};
+
+// Path of the authenticated download route, optionally prefixed with the public server URL
+export function getMediaUrl(projectId, mediaId) {
+  const base = process.env.PUBLIC_SERVER_URL || "";
+  return `${base}/projects/${projectId}/media/${mediaId}`;
+}
+
+// Resolves a WhatsApp media ID to its temporary download URL and metadata
+async function resolveWhatsappMedia(mediaId, accessToken) {
+  const response = await axios.get(
+    `https://graph.facebook.com/v19.0/${mediaId}`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  return response.data;
+}
+
+/**
+ * Downloads an inbound media file once and records it for the project.
+ * Returns the stored media document.
+ */
+export async function storeInboundMedia({
+  projectId,
+  mediaId,
+  contact,
+  filename,
+}) {
+  const existing = await mediaModel.findOne({ project: projectId, mediaId });
+  if (existing) return existing;
+
+  const { accessToken } = await getProjectCredentials(projectId);
+  const meta = await resolveWhatsappMedia(mediaId, accessToken);
+
+  const download = await axios.get(meta.url, {
+    responseType: "arraybuffer",
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  const mimeType = meta.mime_type || download.headers["content-type"];
+  const extension = EXTENSIONS[mimeType?.split(";")[0]] || "bin";
+  const storageKey = `${projectId}/${mediaId}.${extension}`;
+  const driver = getStorageDriver();
+
+  await driver.save(storageKey, Buffer.from(download.data));
+
+  try {
+    return await mediaModel.create({
+      project: projectId,
+      mediaId,
+      contact,
+      mimeType,
+      sha256: meta.sha256,
+      size: meta.file_size,
+      filename,
+      storageDriver: driver.name,
+      storageKey,
+    });
+  } catch (error) {
+    // The same media was stored by a retried webhook in the meantime
+    if (error.code === 11000) {
+      return await mediaModel.findOne({ project: projectId, mediaId });
+    }
+    throw error;
+  }
+}
+
+// Returns the stored media record and a readable stream of its bytes
+export async function openStoredMedia({ project, mediaId }) {
+  const media = await mediaModel.findOne({ project: project._id, mediaId });
+  if (!media) throw new Error("Media not found");
+
+  const driver = getStorageDriver(media.storageDriver);
+  if (!(await driver.exists(media.storageKey))) {
+    throw new Error("Media file is missing from storage");
+  }
+
+  return { media, stream: driver.createReadStream(media.storageKey) };
+}
@@ -0,0 +1,112 @@
+// Normalizes an inbound WhatsApp Cloud API message into a single event shape
+
+const MEDIA_MESSAGE_TYPES = ["image", "video", "audio", "document", "sticker"];
+
+function normalizeMedia(type, media = {}) {
+  return {
+    id: media.id,
+    mimeType: media.mime_type,
+    sha256: media.sha256,
+    caption: media.caption,
+    filename: media.filename,
+    // Voice notes arrive as audio with the voice flag set
+    isVoice: type === "audio" && media.voice === true,
+  };
+}
+
+/**
+ * @param {object} message - an entry of `value.messages` from the webhook
+ * @returns {{
+ *   id: string, from: string, timestamp: string, type: string,
+ *   text: string, buttonReplyId: string, listReplyId: string,
+ *   media: object|null, location: object|null, contacts: Array|null,
+ *   raw: object
+ * }}
+ */
+export function normalizeInboundMessage(message = {}) {
+  const event = {
+    id: message.id,
+    from: message.from,
+    timestamp: message.timestamp,
+    type: message.type || "unknown",
+    text: "",
+    buttonReplyId: "",
+    listReplyId: "",
+    media: null,
+    location: null,
+    contacts: null,
+    raw: message,
+  };
+
+  switch (message.type) {
+    case "text":
+      event.text = message.text?.body || "";
+      break;
+
+    case "interactive":
+      event.buttonReplyId = message.interactive?.button_reply?.id || "";
+      event.listReplyId = message.interactive?.list_reply?.id || "";
+      event.text =
+        message.interactive?.button_reply?.title ||
+        message.interactive?.list_reply?.title ||
+        "";
+      break;
+
+    // Quick reply buttons on template messages
+    case "button":
+      event.text = message.button?.text || message.button?.payload || "";
+      break;
+
+    case "location":
+      event.location = {
+        latitude: message.location?.latitude,
+        longitude: message.location?.longitude,
+        name: message.location?.name,
+        address: message.location?.address,
+      };
+      break;
+
+    case "contacts":
+      event.contacts = (message.contacts || []).map((contact) => ({
+        name: contact.name?.formatted_name,
+        phones: (contact.phones || []).map((p) => p.wa_id || p.phone),
+        emails: (contact.emails || []).map((e) => e.email),
+      }));
+      break;
+
+    default:
+      if (MEDIA_MESSAGE_TYPES.includes(message.type)) {
+        event.media = normalizeMedia(message.type, message[message.type]);
+      }
+      break;
+  }
+
+  return event;
+}
+
+/**
+ * @param {object} status - an entry of `value.statuses` from the webhook
+ * @returns {{
+ *   waMessageId: string, status: string, recipient: string, at: Date,
+ *   error: {code: number, title: string, details: string}|null
+ * }}
+ */
+export function normalizeStatusUpdate(status = {}) {
+  const error = status.errors?.[0];
+
+  return {
+    waMessageId: status.id,
+    status: status.status,
+    recipient: status.recipient_id,
+    at: status.timestamp
+      ? new Date(Number(status.timestamp) * 1000)
+      : new Date(),
+    error: error
+      ? {
+          code: error.code,
+          title: error.title,
+          details: error.error_data?.details || error.message,
+        }
+      : null,
+  };
+}
@@ -0,0 +1,81 @@
+import conversationModel from "../models/conversation.model.js";
+import messageModel from "../models/message.model.js";
+import { publishConversationEvent } from "./realtime.service.js";
+
+// Short preview of a message for conversation lists
+function previewText(type, text) {
+  return text || `[${type || "message"}]`;
+}
+
+/**
+ * Creates the contact's conversation or records new activity on it.
+ * An inbound message reopens a closed conversation for the flow.
+ */
+export async function touchConversation({
+  projectId,
+  contact,
+  direction,
+  type = "text",
+  text,
+}) {
+  let conversation = await conversationModel.findOneAndUpdate(
+    { project: projectId, contact },
+    {
+      lastMessage: {
+        direction,
+        type,
+        text: previewText(type, text),
+        at: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (direction === "inbound" && conversation.status === "closed") {
+    conversation.status = "bot";
+    conversation = await conversation.save();
+  }
+
+  await publishConversationEvent(projectId, "conversation", conversation);
+  return conversation;
+}
+
+/**
+ * Stores a message exchanged with a contact and updates their conversation.
+ * Returns both documents.
+ */
+export async function recordMessage({
+  projectId,
+  contact,
+  direction,
+  type = "text",
+  text,
+  payload,
+  waMessageId,
+  nodeId,
+  sentBy,
+}) {
+  const conversation = await touchConversation({
+    projectId,
+    contact,
+    direction,
+    type,
+    text,
+  });
+
+  const message = await messageModel.create({
+    project: projectId,
+    conversation: conversation._id,
+    contact,
+    direction,
+    type,
+    text,
+    payload,
+    waMessageId,
+    nodeId,
+    sentBy,
+  });
+
+  await publishConversationEvent(projectId, "message", message);
+  return { conversation, message };
+}
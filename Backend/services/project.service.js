@@ -1,10 +1,61 @@
 import projectModel from "../models/project.model.js";
 import mongoose from "mongoose";
+import { getSplitStats } from "./split.service.js";
+import {
+  DELIVERY_FAILED_LABEL,
+  DELIVERY_TRACKED_NODE_TYPES,
+  getDeliveryStatsByNode,
+} from "./deliveryStatus.service.js";
+import { encryptSecret, maskSecret } from "./encryption.service.js";
+import { DEFAULT_CONDITION_LABEL } from "./condition.service.js";
 
 function isValidObjectId(id) {
   return mongoose.Types.ObjectId.isValid(id);
 }
 
+// owners manage members and credentials, editors change flows, viewers read
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+export const PROJECT_ROLES = Object.keys(ROLE_RANK);
+
+const sameId = (a, b) => (a?._id ?? a)?.toString() === (b?._id ?? b)?.toString();
+
+// Role of a user on a project, or null when they are not a member.
+// Members added before roles existed: the creator owns, everyone else edits.
+export function getMemberRole(project, userId) {
+  if (!project.users.some((user) => sameId(user, userId))) return null;
+
+  const member = project.members?.find((m) => sameId(m.user, userId));
+  if (member) return member.role;
+  return sameId(project.createdBy, userId) ? "owner" : "editor";
+}
+
+// Whether a member with `role` may do what needs `minimumRole`
+export function hasProjectRole(role, minimumRole) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+}
+
+// Functions that take a `project` get the document requireProjectAccess
+// loaded, after their routes checked the caller's role with requireProjectRole
+function assertRole(project, userId, minimumRole) {
+  const role = project && getMemberRole(project, userId);
+  if (!role) throw new Error("Project not found or user not authorized");
+  if (!hasProjectRole(role, minimumRole)) {
+    throw new Error(`Only project ${minimumRole}s can do this`);
+  }
+  return role;
+}
+
+function setMemberRole(project, userId, role) {
+  const member = project.members.find((m) => sameId(m.user, userId));
+  if (member) member.role = role;
+  else project.members.push({ user: userId, role });
+}
+
+function countOwners(project) {
+  return project.users.filter((user) => getMemberRole(project, user) === "owner")
+    .length;
+}
+
 export const createProject = async ({
   name,
   userId,
@@ -17,6 +68,7 @@ export const createProject = async ({
     const project = await projectModel.create({
       name,
       users: [userId],
+      members: [{ user: userId, role: "owner" }],
       fileTree,
       createdBy: userId,
     });
@@ -39,7 +91,12 @@ export const getAllProjectByUserId = async ({ userId }) => {
   return allUserProjects;
 };
 
-export const addUsersToProject = async ({ projectId, users, userId }) => {
+export const addUsersToProject = async ({
+  projectId,
+  users,
+  userId,
+  role = "editor",
+}) => {
   if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
   if (!projectId) {
     throw new Error("projectId is required");
@@ -68,120 +125,40 @@ export const addUsersToProject = async ({ projectId, users, userId }) => {
     throw new Error("Invalid userId");
   }
 
-  const project = await projectModel.findOne({
-    _id: projectId,
-    users: userId,
-  });
-
-  console.log(project);
-
-  if (!project) {
-    throw new Error("User not belong to this project");
-  }
-
-  const updatedProject = await projectModel.findOneAndUpdate(
-    {
-      _id: projectId,
-    },
-    {
-      $addToSet: {
-        users: {
-          $each: users,
-        },
-      },
-    },
-    {
-      new: true,
-    }
-  );
-
-  return updatedProject;
-};
-
-export const getProjectById = async ({ projectId }) => {
-  if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
-  if (!projectId) {
-    throw new Error("projectId is required");
+  if (!PROJECT_ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${PROJECT_ROLES.join(", ")}`);
   }
 
-  if (!mongoose.Types.ObjectId.isValid(projectId)) {
-    throw new Error("Invalid projectId");
-  }
+  const project = await projectModel.findById(projectId);
+  assertRole(project, userId, "owner");
 
-  const project = await projectModel
-    .findOne({
-      _id: projectId,
-    })
-    .populate("users");
+  // Existing members keep their role; use updateMemberRole to change it
+  users.forEach((newUserId) => {
+    if (project.users.some((user) => sameId(user, newUserId))) return;
+    project.users.push(newUserId);
+    project.members.push({ user: newUserId, role });
+  });
 
-  return project;
+  return await project.save();
 };
 
-export const deleteProjectById = async ({ projectId, userId }) => {
-  if (!projectId) {
-    throw new Error("projectId is required");
-  }
-
-  if (!mongoose.Types.ObjectId.isValid(projectId)) {
-    throw new Error("Invalid projectId");
-  }
-
-  if (!userId) {
-    throw new Error("userId is required");
-  }
-
-  const project = await projectModel.findOne({ _id: projectId });
-
-  if (!project) {
-    throw new Error("Project not found");
-  }
-
-  // Optional: Only allow deletion if the user is part of the project
-  const isUserInProject = project.users.includes(userId);
-  if (!isUserInProject) {
-    throw new Error("User does not have permission to delete this project");
-  }
-
-  await projectModel.deleteOne({ _id: projectId });
+export const deleteProjectById = async ({ project }) => {
+  await projectModel.deleteOne({ _id: project._id });
 
   return { message: "Project deleted successfully" };
 };
 
-export const updateProjectFlow = async ({ projectId, fileTree }) => {
-  if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
-  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
-    throw new Error("Invalid projectId");
-  }
-
-  const project = await projectModel.findById(projectId);
-  if (!project) {
-    throw new Error("Project not found");
-  }
-
+export const updateProjectFlow = async ({ project, fileTree }) => {
   project.fileTree = fileTree;
+  project.flowVersion = (project.flowVersion || 0) + 1;
   return await project.save();
 };
 
-export const updateProjectName = async ({ projectId, name, userId }) => {
-  if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
-  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
-    throw new Error("Invalid projectId");
-  }
-
+export const updateProjectName = async ({ project, name }) => {
   if (!name || typeof name !== "string") {
     throw new Error("Project name must be a valid string");
   }
 
-  const project = await projectModel.findOne({ _id: projectId });
-
-  if (!project) {
-    throw new Error("Project not found");
-  }
-
-  if (!project.users.includes(userId)) {
-    throw new Error("User does not have permission to update this project");
-  }
-
   project.name = name.toLowerCase().trim();
 
   try {
@@ -214,53 +191,111 @@ export const removeUserFromProject = async ({
   userToRemove,
   requestedBy,
 }) => {
-  if (!isValidObjectId(projectId) || !isValidObjectId(userIdToRemove)) {
+  if (!isValidObjectId(projectId) || !isValidObjectId(userToRemove)) {
     throw new Error("Invalid IDs");
   }
   const project = await projectModel.findOne({ _id: projectId });
 
   if (!project) throw new Error("Project not found");
-  if (!project.users.includes(requestedBy)) throw new Error("Not authorized");
+  assertRole(project, requestedBy, "owner");
+
+  if (
+    getMemberRole(project, userToRemove) === "owner" &&
+    countOwners(project) === 1
+  ) {
+    throw new Error("A project must keep at least one owner");
+  }
 
   project.users = project.users.filter((u) => u.toString() !== userToRemove);
+  project.members = project.members.filter(
+    (m) => m.user.toString() !== userToRemove
+  );
   return await project.save();
 };
 
-export const updateWhatsappConfig = async ({
-  projectId,
-  userId,
-  configData,
-}) => {
-  if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
+// Adds a user with the given role; existing members keep their role.
+// Callers are responsible for authorization.
+export const addProjectMember = async ({ projectId, userId, role }) => {
+  const project = await projectModel.findById(projectId);
+  if (!project) throw new Error("Project not found");
+  if (getMemberRole(project, userId)) return project;
 
-  const project = await projectModel.findOne({ _id: projectId, users: userId });
+  project.users.push(userId);
+  setMemberRole(project, userId, role);
+  return await project.save();
+};
 
-  if (!project) {
-    throw new Error("Project not found or user not authorized");
+export const updateMemberRole = async ({ project, memberId, role }) => {
+  if (!isValidObjectId(memberId)) throw new Error("Invalid Member ID");
+  if (!PROJECT_ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${PROJECT_ROLES.join(", ")}`);
+  }
+
+  const currentRole = getMemberRole(project, memberId);
+  if (!currentRole) throw new Error("User is not a member of this project");
+  if (
+    currentRole === "owner" &&
+    role !== "owner" &&
+    countOwners(project) === 1
+  ) {
+    throw new Error("A project must keep at least one owner");
   }
 
+  setMemberRole(project, memberId, role);
+  return await project.save();
+};
+
+// Callback URL to register in the Meta app for this project
+export const getWebhookUrl = (projectId) => {
+  const base = process.env.PUBLIC_SERVER_URL || "";
+  return `${base}/api/webhook/${projectId}`;
+};
+
+// The project's WhatsApp setup as its owners see it: unlike project
+// responses, it includes the webhook verify token in full
+export const getWhatsappConfig = (project) => ({
+  whatsappBusinessAccountId: project.whatsappBusinessAccountId || null,
+  whatsappPhoneNumberId: project.whatsappPhoneNumberId || null,
+  whatsappAccessToken: project.whatsappAccessToken
+    ? maskSecret(project.whatsappAccessTokenLast4)
+    : null,
+  whatsappWebhookVerifyToken: project.whatsappWebhookVerifyToken || null,
+  webhookUrl: getWebhookUrl(project._id),
+});
+
+export const updateWhatsappConfig = async ({ project, configData }) => {
   const {
     whatsappPhoneNumberId,
     whatsappAccessToken,
     whatsappWebhookVerifyToken,
+    whatsappAppSecret,
   } = configData;
 
   project.whatsappPhoneNumberId = whatsappPhoneNumberId;
-  project.whatsappAccessToken = whatsappAccessToken;
-  project.whatsappWebhookVerifyToken = whatsappWebhookVerifyToken;
+  // A masked token echoed back from a previous response keeps the stored one
+  if (whatsappAccessToken && !whatsappAccessToken.startsWith("****")) {
+    project.whatsappAccessToken = encryptSecret(whatsappAccessToken);
+    project.whatsappAccessTokenLast4 = whatsappAccessToken.slice(-4);
+  }
+  // Same for the verify token masked in project responses
+  if (
+    whatsappWebhookVerifyToken !== undefined &&
+    !whatsappWebhookVerifyToken?.startsWith("****")
+  ) {
+    project.whatsappWebhookVerifyToken = whatsappWebhookVerifyToken;
+  }
+  // Only replaced when sent, since responses never include it.
+  // Encrypted like the access token; an empty value clears it.
+  if (whatsappAppSecret !== undefined) {
+    project.whatsappAppSecret = whatsappAppSecret
+      ? encryptSecret(whatsappAppSecret)
+      : whatsappAppSecret;
+  }
 
   return await project.save();
 };
 
-export const toggleProjectActiveState = async ({ projectId, userId }) => {
-  if (!isValidObjectId(projectId)) throw new Error("Invalid Project ID");
-
-  const project = await projectModel.findOne({ _id: projectId, users: userId });
-
-  if (!project) {
-    throw new Error("Project not found or user not authorized");
-  }
-
+export const toggleProjectActiveState = async ({ project, userId }) => {
   const isActivating = !project.isActive;
 
   if (isActivating) {
@@ -273,7 +308,7 @@ export const toggleProjectActiveState = async ({ projectId, userId }) => {
     const existingActive = await projectModel.findOne({
       users: userId,
       isActive: true,
-      _id: { $ne: projectId },
+      _id: { $ne: project._id },
     });
 
     if (existingActive) {
@@ -290,6 +325,14 @@ export const toggleProjectActiveState = async ({ projectId, userId }) => {
   };
 };
 
+export const getSplitTestStats = async ({ project }) => {
+  return await getSplitStats({ projectId: project._id });
+};
+
+export const getDeliveryStats = async ({ project }) => {
+  return await getDeliveryStatsByNode({ projectId: project._id });
+};
+
 // Flow validation function
 function validateFlow(nodes, edges) {
   const errors = [];
@@ -322,6 +365,40 @@ function validateFlow(nodes, edges) {
     }
   }
 
+  // A Go To node counts as an incoming connection of its target, and so
+  // does a Handoff node of the node it resumes at
+  for (const node of nodes) {
+    const targetNodeId =
+      (node.type === "goto" && node.data?.properties?.targetNodeId) ||
+      (node.type === "handoff" && node.data?.properties?.resumeNodeId);
+    if (targetNodeId && nodeConnections.has(targetNodeId)) {
+      nodeConnections.get(targetNodeId).in += 1;
+      nodeConnections.get(node.id).out += 1;
+    }
+  }
+
+  // The timeout job reaches the start node's timeout branch
+  const timeoutBranchId = nodes.find((n) => n.type === "start")?.data
+    ?.properties?.timeoutNodeId;
+  if (timeoutBranchId && nodeConnections.has(timeoutBranchId)) {
+    nodeConnections.get(timeoutBranchId).in += 1;
+  }
+
+  // Only nodes that send a message can take a "Delivery Failed" edge
+  for (const edge of edges) {
+    const edgeLabel = (edge.label || edge.data?.label || "").toLowerCase();
+    if (edgeLabel !== DELIVERY_FAILED_LABEL.toLowerCase()) continue;
+
+    const source = nodes.find((n) => n.id === edge.source);
+    if (source && !DELIVERY_TRACKED_NODE_TYPES.includes(source.type)) {
+      errors.push(
+        `Error: Node "${
+          source.data?.label || source.id
+        }" does not send a message, so it cannot have a "${DELIVERY_FAILED_LABEL}" connection.`
+      );
+    }
+  }
+
   // Iterate over each node to check its specific rules
   for (const node of nodes) {
     const connections = nodeConnections.get(node.id);
@@ -364,6 +441,13 @@ function validateFlow(nodes, edges) {
       keywordMatch: ["keywords"],
       apiCall: ["requestName", "url"],
       askaQuestion: ["question", "propertyName"],
+      condition: ["conditions"],
+      setVariable: ["assignments"],
+      random: ["branches"],
+      goto: ["targetNodeId"],
+      handoff: [],
+      media: ["mediaType", "mediaUrl"],
+      template: ["templateId"],
       end: [],
     };
     const nodeType = node.type;
@@ -395,22 +479,98 @@ function validateFlow(nodes, edges) {
     // Node-specific validation
     switch (node.type) {
       case "condition": {
+        const conditions = node.data?.properties?.conditions || [];
         const outgoingEdges = edges.filter((e) => e.source === node.id);
         const labels = new Set(
           outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
         );
-        if (!labels.has("true")) {
+        const seenLabels = new Set();
+
+        for (const [index, group] of conditions.entries()) {
+          const groupLabel = group?.label?.trim();
+          if (!groupLabel) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has a rule set without a label (rule set ${index + 1}).`
+            );
+            continue;
+          }
+          // The Default path is taken when no rule set matches
+          if (
+            groupLabel.toLowerCase() === DEFAULT_CONDITION_LABEL.toLowerCase()
+          ) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has a rule set labelled "${groupLabel}", which is reserved for the fallback path.`
+            );
+          } else if (seenLabels.has(groupLabel.toLowerCase())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has more than one rule set labelled "${groupLabel}".`
+            );
+          }
+          seenLabels.add(groupLabel.toLowerCase());
+
+          if (!(group.rules || []).some((rule) => rule?.variable?.trim())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has no rules in the "${groupLabel}" rule set.`
+            );
+          }
+          if (!labels.has(groupLabel.toLowerCase())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" is missing an outgoing connection for the "${groupLabel}" path.`
+            );
+          }
+        }
+        if (!labels.has("default")) {
           errors.push(
             `Error: Condition node "${
               node.data.label || node.id
-            }" is missing an outgoing 'true' path.`
+            }" is missing an outgoing 'Default' path.`
           );
         }
-        if (!labels.has("false")) {
+        break;
+      }
+      case "random": {
+        const branches = node.data?.properties?.branches || [];
+        const outgoingEdges = edges.filter((e) => e.source === node.id);
+        const labels = new Set(
+          outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
+        );
+
+        let totalWeight = 0;
+        for (const branch of branches) {
+          const branchLabel = branch?.label?.trim();
+          const weight = Number(branch?.weight);
+          if (!branchLabel || Number.isNaN(weight) || weight < 0) {
+            errors.push(
+              `Error: Split node "${
+                node.data.label || node.id
+              }" has a branch without a label or with an invalid weight.`
+            );
+            continue;
+          }
+          totalWeight += weight;
+          if (weight > 0 && !labels.has(branchLabel.toLowerCase())) {
+            errors.push(
+              `Error: Split node "${
+                node.data.label || node.id
+              }" is missing an outgoing connection for the "${branchLabel}" branch.`
+            );
+          }
+        }
+        if (totalWeight <= 0) {
           errors.push(
-            `Error: Condition node "${
+            `Error: Split node "${
               node.data.label || node.id
-            }" is missing an outgoing 'false' path.`
+            }" needs at least one branch with a weight above 0.`
           );
         }
         break;
@@ -430,7 +590,24 @@ function validateFlow(nodes, edges) {
           outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
         );
 
+        // Up to 3 options are reply buttons (20 chars), more become list rows (24 chars)
+        const maxTitleLength = definedButtons.length > 3 ? 24 : 20;
+        if (definedButtons.length > 10) {
+          errors.push(
+            `Error: Buttons node "${
+              node.data.label || node.id
+            }" has more than 10 options. WhatsApp lists allow at most 10 rows.`
+          );
+        }
+
         for (const buttonLabel of definedButtons) {
+          if (buttonLabel.length > maxTitleLength) {
+            errors.push(
+              `Error: Buttons node "${
+                node.data.label || node.id
+              }" option "${buttonLabel}" is longer than ${maxTitleLength} characters.`
+            );
+          }
           if (!edgeLabels.has(buttonLabel.toLowerCase())) {
             errors.push(
               `Error: Buttons node "${
@@ -441,6 +618,47 @@ function validateFlow(nodes, edges) {
         }
         break;
       }
+      case "goto": {
+        const targetNodeId = node.data?.properties?.targetNodeId;
+        if (edges.some((e) => e.source === node.id)) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" cannot have outgoing connections.`
+          );
+        }
+        if (targetNodeId === node.id) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" cannot jump to itself.`
+          );
+        } else if (targetNodeId && !nodes.some((n) => n.id === targetNodeId)) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" jumps to a node that no longer exists.`
+          );
+        }
+        break;
+      }
+      case "handoff": {
+        const resumeNodeId = node.data?.properties?.resumeNodeId;
+        if (resumeNodeId === node.id) {
+          errors.push(
+            `Error: Handoff node "${
+              node.data.label || node.id
+            }" cannot resume at itself.`
+          );
+        } else if (resumeNodeId && !nodes.some((n) => n.id === resumeNodeId)) {
+          errors.push(
+            `Error: Handoff node "${
+              node.data.label || node.id
+            }" resumes at a node that no longer exists.`
+          );
+        }
+        break;
+      }
       case "end":
         if (connections.out > 0) {
           errors.push(
@@ -450,7 +668,7 @@ function validateFlow(nodes, edges) {
           );
         }
         break;
-      case "start":
+      case "start": {
         if (connections.in > 0) {
           errors.push(
             `Error: Start Node "${
@@ -458,7 +676,34 @@ function validateFlow(nodes, edges) {
             }" cannot have incoming connections.`
           );
         }
+        const { sessionTimeoutMinutes, timeoutNodeId } =
+          node.data?.properties || {};
+        if (
+          sessionTimeoutMinutes !== undefined &&
+          sessionTimeoutMinutes !== "" &&
+          !(Number(sessionTimeoutMinutes) > 0)
+        ) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" needs a session timeout of more than 0 minutes.`
+          );
+        }
+        if (timeoutNodeId === node.id) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" cannot be its own timeout branch.`
+          );
+        } else if (timeoutNodeId && !nodes.some((n) => n.id === timeoutNodeId)) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" has a timeout branch that no longer exists.`
+          );
+        }
         break;
+      }
       default:
         break;
     }
@@ -470,14 +715,37 @@ function validateFlow(nodes, edges) {
     errors.push("Error: Multiple end nodes detected. Only one is allowed.");
   }
 
+  // Loops are allowed when they pass through a node that waits for the user,
+  // or a handoff, which waits for an agent; execution stops there. A Go To
+  // node continues at its target right away, so it does not break a loop.
+  function breaksLoop(node) {
+    return (
+      node.type === "handoff" ||
+      node.type === "buttons" ||
+      node.type === "askaQuestion" ||
+      node.data?.properties?.waitForUserReply === true
+    );
+  }
+
   // Cycle detection (DFS)
   function hasCycle() {
     const visited = new Set();
     const recStack = new Set();
     const adj = {};
-    nodes.forEach((node) => (adj[node.id] = []));
+    nodes
+      .filter((node) => !breaksLoop(node))
+      .forEach((node) => (adj[node.id] = []));
     edges.forEach((edge) => {
-      if (adj[edge.source]) adj[edge.source].push(edge.target);
+      if (adj[edge.source] && adj[edge.target]) {
+        adj[edge.source].push(edge.target);
+      }
+    });
+    // A jump is an edge to its target
+    nodes.forEach((node) => {
+      const targetNodeId = node.data?.properties?.targetNodeId;
+      if (node.type === "goto" && adj[node.id] && adj[targetNodeId]) {
+        adj[node.id].push(targetNodeId);
+      }
     });
     function dfs(nodeId) {
       if (!visited.has(nodeId)) {
@@ -491,10 +759,12 @@ function validateFlow(nodes, edges) {
       recStack.delete(nodeId);
       return false;
     }
-    return nodes.some((node) => dfs(node.id));
+    return Object.keys(adj).some((nodeId) => dfs(nodeId));
   }
   if (hasCycle()) {
-    errors.push("Error: The flow contains a circular loop (cycle). Please remove cycles.");
+    errors.push(
+      "Error: The flow contains a circular loop (cycle). Loops, including Go To jumps, must pass through a node that waits for the user."
+    );
   }
 
   return {
@@ -0,0 +1,47 @@
+import { EventEmitter } from "events";
+import redisClient from "./redis.service.js";
+
+// Conversation events go through Redis pub/sub so that every server
+// process can push them to the browsers connected to it
+const CHANNEL_PREFIX = "conversation-events:";
+
+const listeners = new EventEmitter();
+listeners.setMaxListeners(0);
+
+let subscriber = null;
+
+function ensureSubscribed() {
+  if (subscriber) return;
+
+  subscriber = redisClient.duplicate();
+  subscriber.psubscribe(`${CHANNEL_PREFIX}*`).catch((error) => {
+    console.error("Failed to subscribe to conversation events:", error);
+  });
+  subscriber.on("pmessage", (_pattern, channel, message) => {
+    const projectId = channel.slice(CHANNEL_PREFIX.length);
+    try {
+      listeners.emit(projectId, JSON.parse(message));
+    } catch (error) {
+      console.error("Invalid conversation event:", error);
+    }
+  });
+}
+
+export async function publishConversationEvent(projectId, type, data) {
+  try {
+    await redisClient.publish(
+      `${CHANNEL_PREFIX}${projectId}`,
+      JSON.stringify({ type, data })
+    );
+  } catch (error) {
+    console.error("Failed to publish conversation event:", error);
+  }
+}
+
+// Calls `listener` with every event of the project; returns an unsubscribe function
+export function subscribeToProject(projectId, listener) {
+  ensureSubscribed();
+  const key = String(projectId);
+  listeners.on(key, listener);
+  return () => listeners.off(key, listener);
+}
@@ -0,0 +1,248 @@
+import redisClient from "./redis.service.js";
+
+// Everything the flow executor knows about a contact is one JSON document per
+// (project, contact), so it can be inspected, reset and migrated as a unit.
+// Writes happen under the contact's lock, see contactLock.service.js.
+const SESSION_VERSION = 1;
+
+// Minutes of inactivity after which a session expires, unless the flow's
+// start node sets its own `sessionTimeoutMinutes`
+const DEFAULT_TIMEOUT_MINUTES =
+  Number(process.env.SESSION_TIMEOUT_MINUTES) || 60;
+
+// Expired sessions are kept a while longer so the timeout job can still run
+// the flow's timeout branch for them
+const EXPIRED_RETENTION_MS = 60 * 60 * 1000;
+
+// Sorted set of "<projectId>:<contact>" scored by expiry time
+const EXPIRY_KEY = "flow-session:expiring";
+
+const sessionKey = (projectId, contact) =>
+  `flow-session:${projectId}:${contact}`;
+const expiryMember = (projectId, contact) => `${projectId}:${contact}`;
+
+const isExpired = (session) =>
+  Boolean(session.expiresAt) && Date.parse(session.expiresAt) <= Date.now();
+
+function createSession(projectId, contact) {
+  const now = new Date().toISOString();
+  return {
+    version: SESSION_VERSION,
+    projectId: String(projectId),
+    contact,
+    currentNodeId: null,
+    // What the current node waits for: {type: "buttons", nodeId, buttons}
+    // or {type: "question", nodeId}
+    pendingInput: null,
+    // Invalid replies to the pending input so far
+    retries: 0,
+    variables: {},
+    flowVersion: null,
+    timeoutMinutes: null,
+    startedAt: now,
+    lastActiveAt: now,
+    expiresAt: null,
+    // Set when the timeout branch ran; cleared by the contact's next message
+    timedOutAt: null,
+    // Inbound message whose run last saved the session; a retry of that
+    // message must not run its steps again
+    lastMessageId: null,
+  };
+}
+
+// Brings a stored document up to the current shape; bump SESSION_VERSION
+// and convert older documents here when the shape changes
+function migrateSession(stored, projectId, contact) {
+  return {
+    ...createSession(projectId, contact),
+    ...stored,
+    version: SESSION_VERSION,
+  };
+}
+
+async function readSession(projectId, contact) {
+  const raw = await redisClient.get(sessionKey(projectId, contact));
+  if (!raw) return null;
+
+  try {
+    return migrateSession(JSON.parse(raw), projectId, contact);
+  } catch (error) {
+    console.error(`Discarding unreadable session of ${contact}:`, error);
+    return null;
+  }
+}
+
+// Returns the contact's session, or null when there is none or it expired
+export async function getSession(projectId, contact) {
+  const session = await readSession(projectId, contact);
+  return session && !isExpired(session) ? session : null;
+}
+
+// Returns the session only while it is expired, for the timeout job
+export async function getExpiredSession(projectId, contact) {
+  const session = await readSession(projectId, contact);
+  return session && isExpired(session) ? session : null;
+}
+
+/**
+ * Returns the contact's session, or a new one that is stored on first save.
+ * A new session replacing an expired one keeps its variables.
+ *
+ * @param {number|null} timeoutMinutes - the flow's inactivity timeout;
+ *   null for the default
+ */
+export async function loadSession(projectId, contact, timeoutMinutes = null) {
+  let session = await readSession(projectId, contact);
+  if (!session || isExpired(session)) {
+    const variables = session?.variables || {};
+    session = createSession(projectId, contact);
+    session.variables = variables;
+  }
+  session.timeoutMinutes = timeoutMinutes;
+  return session;
+}
+
+const timeoutLength = (session) =>
+  (session.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+
+// Starts the session's inactivity timeout over and returns its length in ms
+function touchSession(session) {
+  const now = Date.now();
+  const timeoutMs = timeoutLength(session);
+
+  session.lastActiveAt = new Date(now).toISOString();
+  session.expiresAt = new Date(now + timeoutMs).toISOString();
+  return timeoutMs;
+}
+
+// Stores the session and starts its inactivity timeout over
+export async function saveSession(session) {
+  const timeoutMs = touchSession(session);
+
+  await redisClient
+    .multi()
+    .set(
+      sessionKey(session.projectId, session.contact),
+      JSON.stringify(session),
+      "PX",
+      timeoutMs + EXPIRED_RETENTION_MS
+    )
+    .zadd(
+      EXPIRY_KEY,
+      Date.parse(session.expiresAt),
+      expiryMember(session.projectId, session.contact)
+    )
+    .exec();
+  return session;
+}
+
+/**
+ * Stores a session built from the per-field keys used before session
+ * documents, see scripts/migrateFlowSessions.js. A contact who already has a
+ * session keeps it.
+ *
+ * @param {object} fields - currentNodeId, pendingInput, retries and variables
+ * @returns {Promise<boolean>} whether the session was stored
+ */
+export async function importLegacySession(projectId, contact, fields) {
+  const session = { ...createSession(projectId, contact), ...fields };
+  const timeoutMs = touchSession(session);
+
+  const stored = await redisClient.set(
+    sessionKey(projectId, contact),
+    JSON.stringify(session),
+    "PX",
+    timeoutMs + EXPIRED_RETENTION_MS,
+    "NX"
+  );
+  if (!stored) return false;
+
+  await redisClient.zadd(
+    EXPIRY_KEY,
+    Date.parse(session.expiresAt),
+    expiryMember(projectId, contact)
+  );
+  return true;
+}
+
+export async function updateSession(session, changes) {
+  Object.assign(session, changes);
+  return saveSession(session);
+}
+
+// Moves the contact to a node; whatever the previous node waited for is dropped
+export async function moveToNode(session, nodeId) {
+  return updateSession(session, {
+    currentNodeId: nodeId,
+    pendingInput: null,
+    retries: 0,
+  });
+}
+
+// Takes the contact out of the flow but keeps their variables;
+// their next message starts at the start node
+export async function exitFlow(session) {
+  return moveToNode(session, null);
+}
+
+/**
+ * Takes an expired session back to the start of the flow but keeps its
+ * variables, for the contact's next message. It is stored without a timeout
+ * so the timeout job does not pick it up again; the document is dropped if
+ * the contact stays away for another timeout period.
+ */
+export async function resetExpiredSession(session) {
+  Object.assign(session, {
+    currentNodeId: null,
+    pendingInput: null,
+    retries: 0,
+    expiresAt: null,
+    timedOutAt: null,
+  });
+
+  await redisClient
+    .multi()
+    .set(
+      sessionKey(session.projectId, session.contact),
+      JSON.stringify(session),
+      "PX",
+      timeoutLength(session) + EXPIRED_RETENTION_MS
+    )
+    .zrem(EXPIRY_KEY, expiryMember(session.projectId, session.contact))
+    .exec();
+  return session;
+}
+
+export async function deleteSession(projectId, contact) {
+  await redisClient
+    .multi()
+    .del(sessionKey(projectId, contact))
+    .zrem(EXPIRY_KEY, expiryMember(projectId, contact))
+    .exec();
+}
+
+/**
+ * Takes up to `limit` sessions whose timeout has passed off the expiry index.
+ * Each one is returned to a single caller only, even with several workers.
+ *
+ * @returns {Promise<{projectId: string, contact: string}[]>}
+ */
+export async function claimExpiredSessions(limit = 100) {
+  const members = await redisClient.zrangebyscore(
+    EXPIRY_KEY,
+    0,
+    Date.now(),
+    "LIMIT",
+    0,
+    limit
+  );
+
+  const claimed = [];
+  for (const member of members) {
+    if (await redisClient.zrem(EXPIRY_KEY, member)) {
+      const [projectId, contact] = member.split(":");
+      claimed.push({ projectId, contact });
+    }
+  }
+  return claimed;
+}
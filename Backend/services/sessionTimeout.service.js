@@ -0,0 +1,52 @@
+import { claimExpiredSessions } from "./session.service.js";
+import { handleSessionTimeout } from "./flowExecutor.service.js";
+
+// Periodically picks up flow sessions whose inactivity timeout passed and
+// runs the flow's timeout branch for them. Runs next to the webhook worker.
+const CHECK_INTERVAL_MS =
+  Number(process.env.SESSION_TIMEOUT_CHECK_MS) || 30 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+async function processExpiredSessions() {
+  // Skip a tick while the previous batch is still being handled
+  if (running) return;
+  running = true;
+
+  try {
+    let expired;
+    do {
+      expired = await claimExpiredSessions();
+      for (const { projectId, contact } of expired) {
+        try {
+          await handleSessionTimeout({ projectId, contact });
+        } catch (error) {
+          console.error(
+            `Session timeout of ${contact} in project ${projectId} failed:`,
+            error.message
+          );
+        }
+      }
+    } while (expired.length > 0 && checkTimer);
+  } finally {
+    running = false;
+  }
+}
+
+export function startSessionTimeoutJob() {
+  if (checkTimer) return;
+
+  checkTimer = setInterval(() => {
+    processExpiredSessions().catch((err) =>
+      console.error("Failed to process expired sessions:", err.message)
+    );
+  }, CHECK_INTERVAL_MS);
+
+  console.log("Session timeout job started");
+}
+
+export function stopSessionTimeoutJob() {
+  clearInterval(checkTimer);
+  checkTimer = null;
+}
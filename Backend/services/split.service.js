@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import splitAssignmentModel from "../models/splitAssignment.model.js";
+
+// Only branches with a label and a positive weight can be picked
+function getValidBranches(branches = []) {
+  return branches
+    .map((branch) => ({
+      label: branch?.label?.trim(),
+      weight: Number(branch?.weight),
+    }))
+    .filter((branch) => branch.label && branch.weight > 0);
+}
+
+// Weighted random pick
+export function pickWeightedBranch(branches = []) {
+  const validBranches = getValidBranches(branches);
+  const total = validBranches.reduce((sum, branch) => sum + branch.weight, 0);
+  if (total <= 0) return null;
+
+  let roll = Math.random() * total;
+  for (const branch of validBranches) {
+    roll -= branch.weight;
+    if (roll < 0) return branch.label;
+  }
+  return validBranches[validBranches.length - 1].label;
+}
+
+// Returns the contact's branch for a split node, assigning one on first visit
+export async function assignSplitBranch({
+  projectId,
+  nodeId,
+  contact,
+  branches,
+}) {
+  const labels = getValidBranches(branches).map((branch) => branch.label);
+  if (labels.length === 0) return null;
+
+  const existing = await splitAssignmentModel.findOne({
+    project: projectId,
+    nodeId,
+    contact,
+  });
+
+  // Keep the contact on their branch unless it was removed from the node
+  if (existing && labels.includes(existing.branch)) {
+    return existing.branch;
+  }
+
+  const branch = pickWeightedBranch(branches);
+
+  if (existing) {
+    existing.branch = branch;
+    existing.completed = false;
+    existing.completedAt = undefined;
+    await existing.save();
+    return branch;
+  }
+
+  try {
+    await splitAssignmentModel.create({
+      project: projectId,
+      nodeId,
+      contact,
+      branch,
+    });
+    return branch;
+  } catch (error) {
+    // Another message from the same contact assigned a branch first
+    if (error.code === 11000) {
+      const assigned = await splitAssignmentModel.findOne({
+        project: projectId,
+        nodeId,
+        contact,
+      });
+      return assigned?.branch || branch;
+    }
+    throw error;
+  }
+}
+
+// Called when a contact gets to the end of the flow, see finishFlow in
+// flowExecutor.service.js
+export async function markSplitCompleted({ projectId, contact }) {
+  await splitAssignmentModel.updateMany(
+    { project: projectId, contact, completed: false },
+    { $set: { completed: true, completedAt: new Date() } }
+  );
+}
+
+// Assigned / completed counts per split node and branch
+export async function getSplitStats({ projectId }) {
+  const rows = await splitAssignmentModel.aggregate([
+    { $match: { project: new mongoose.Types.ObjectId(String(projectId)) } },
+    {
+      $group: {
+        _id: { nodeId: "$nodeId", branch: "$branch" },
+        assigned: { $sum: 1 },
+        completed: { $sum: { $cond: ["$completed", 1, 0] } },
+      },
+    },
+    { $sort: { "_id.nodeId": 1, "_id.branch": 1 } },
+  ]);
+
+  return rows.map(({ _id, assigned, completed }) => ({
+    nodeId: _id.nodeId,
+    branch: _id.branch,
+    assigned,
+    completed,
+    completionRate: assigned ? completed / assigned : 0,
+  }));
+}
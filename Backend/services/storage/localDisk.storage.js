@@ -0,0 +1,38 @@
+import fs from "fs";
+import path from "path";
+
+// Stores files under MEDIA_STORAGE_DIR (defaults to ./uploads/media)
+const baseDir = path.resolve(process.env.MEDIA_STORAGE_DIR || "uploads/media");
+
+function resolveKey(key) {
+  const filePath = path.resolve(baseDir, key);
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return filePath;
+}
+
+export const name = "local";
+
+export async function save(key, buffer) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+}
+
+export async function exists(key) {
+  try {
+    await fs.promises.access(resolveKey(key));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function createReadStream(key) {
+  return fs.createReadStream(resolveKey(key));
+}
+
+export async function remove(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
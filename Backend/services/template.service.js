@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import templateModel from "../models/template.model.js";
+
+function isValidObjectId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+const TEMPLATE_FIELDS = [
+  "name",
+  "language",
+  "category",
+  "header",
+  "body",
+  "footer",
+  "buttons",
+];
+
+function pickTemplateFields(data = {}) {
+  return Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+}
+
+// Number of positional placeholders ({{1}}, {{2}}, ...) used in a text
+export function countPlaceholders(text = "") {
+  const indexes = [...(text || "").matchAll(/{{\s*(\d+)\s*}}/g)].map((m) =>
+    Number(m[1])
+  );
+  return indexes.length ? Math.max(...indexes) : 0;
+}
+
+// The CRUD functions take the project requireProjectAccess loaded; their
+// routes check the caller's role
+export const createTemplate = async ({ project, userId, data }) => {
+  try {
+    return await templateModel.create({
+      ...pickTemplateFields(data),
+      project: project._id,
+      createdBy: userId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error("A template with this name and language already exists");
+    }
+    throw error;
+  }
+};
+
+export const getTemplatesByProject = async ({ project }) => {
+  return await templateModel.find({ project: project._id }).sort({ name: 1 });
+};
+
+export const updateTemplate = async ({ project, templateId, data }) => {
+  if (!isValidObjectId(templateId)) throw new Error("Invalid Template ID");
+
+  const template = await templateModel.findOne({
+    _id: templateId,
+    project: project._id,
+  });
+  if (!template) throw new Error("Template not found");
+
+  Object.assign(template, pickTemplateFields(data));
+
+  try {
+    return await template.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error("A template with this name and language already exists");
+    }
+    throw error;
+  }
+};
+
+export const deleteTemplate = async ({ project, templateId }) => {
+  if (!isValidObjectId(templateId)) throw new Error("Invalid Template ID");
+
+  const result = await templateModel.deleteOne({
+    _id: templateId,
+    project: project._id,
+  });
+  if (result.deletedCount === 0) throw new Error("Template not found");
+
+  return { message: "Template deleted successfully" };
+};
+
+// Used by the flow executor, which has no logged-in user
+export const getTemplateForProject = async ({ projectId, templateId }) => {
+  if (!isValidObjectId(templateId)) return null;
+  return await templateModel.findOne({ _id: templateId, project: projectId });
+};
+
+/**
+ * Builds the `components` array of a template message.
+ *
+ * @param {object} template - template document
+ * @param {{header?: string[], body?: string[], buttons?: string[]}} params -
+ *   already interpolated values; header[0] is the media link for media headers
+ */
+export function buildTemplateComponents(template, params = {}) {
+  const components = [];
+  const format = template.header?.format || "NONE";
+
+  const headerCount =
+    format === "TEXT" ? countPlaceholders(template.header.text) : 0;
+  if (headerCount > 0) {
+    components.push({
+      type: "header",
+      parameters: Array.from({ length: headerCount }, (_, i) => ({
+        type: "text",
+        text: params.header?.[i] ?? "",
+      })),
+    });
+  } else if (["IMAGE", "VIDEO", "DOCUMENT"].includes(format)) {
+    const mediaType = format.toLowerCase();
+    components.push({
+      type: "header",
+      parameters: [
+        { type: mediaType, [mediaType]: { link: params.header?.[0] || "" } },
+      ],
+    });
+  }
+
+  const bodyCount = countPlaceholders(template.body);
+  if (bodyCount > 0) {
+    components.push({
+      type: "body",
+      parameters: Array.from({ length: bodyCount }, (_, i) => ({
+        type: "text",
+        text: params.body?.[i] ?? "",
+      })),
+    });
+  }
+
+  // Only URL buttons with a placeholder take a parameter
+  (template.buttons || []).forEach((button, index) => {
+    if (button.type === "URL" && countPlaceholders(button.url) > 0) {
+      components.push({
+        type: "button",
+        sub_type: "url",
+        index: String(index),
+        parameters: [{ type: "text", text: params.buttons?.[index] ?? "" }],
+      });
+    }
+  });
+
+  return components;
+}
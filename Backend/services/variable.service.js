@@ -0,0 +1,54 @@
+import { saveSession } from "./session.service.js";
+
+// Contact variables live in the contact's flow session (session.service.js)
+export async function getVariable(session, name) {
+  return session.variables[name] ?? null;
+}
+
+export async function setVariable(session, name, value) {
+  session.variables[name] =
+    value === null || value === undefined ? "" : String(value);
+  await saveSession(session);
+}
+
+export async function deleteVariable(session, name) {
+  delete session.variables[name];
+  await saveSession(session);
+}
+
+/**
+ * Applies a single "set variable" assignment and returns the stored value.
+ *
+ * @param {string} operation - "set" | "append" | "increment" | "clear"
+ * @param {string} value - already interpolated value
+ */
+export async function applyVariableOperation(session, name, operation, value) {
+  switch (operation) {
+    case "clear":
+      await deleteVariable(session, name);
+      return null;
+
+    case "append": {
+      const current = (await getVariable(session, name)) || "";
+      const next = `${current}${value ?? ""}`;
+      await setVariable(session, name, next);
+      return next;
+    }
+
+    case "increment": {
+      const current = Number((await getVariable(session, name)) || 0);
+      const step = value === undefined || value === "" ? 1 : Number(value);
+      if (Number.isNaN(current) || Number.isNaN(step)) {
+        throw new Error(`Variable "${name}" cannot be incremented by "${value}"`);
+      }
+      const next = current + step;
+      await setVariable(session, name, next);
+      return String(next);
+    }
+
+    case "set":
+    default:
+      await setVariable(session, name, value);
+      return value ?? "";
+  }
+}
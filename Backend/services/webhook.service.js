@@ -0,0 +1,364 @@
+import projectModel from "../models/project.model.js";
+import redisClient from "./redis.service.js";
+import { withContactLock } from "./contactLock.service.js";
+import { getSession } from "./session.service.js";
+import {
+  processMessage,
+  handleDeliveryFailure,
+} from "./flowExecutor.service.js";
+import {
+  normalizeInboundMessage,
+  normalizeStatusUpdate,
+} from "./messageEvent.service.js";
+import {
+  applyStatusUpdate,
+  markFailureHandled,
+} from "./deliveryStatus.service.js";
+import { storeInboundMedia, getMediaUrl } from "./mediaStore.service.js";
+import { recordMessage } from "./messageLog.service.js";
+import {
+  claimInboundMessage,
+  completeInboundMessage,
+} from "./idempotency.service.js";
+
+// While one of a contact's messages waits for its job's retry, the contact's
+// later messages, whatever job brought them, are held here in order:
+//   {jobId, held: [{metadata, message}]}
+// The job `jobId` runs them after its retry. All reads and writes happen
+// under the contact's lock. The key expires in case the job is lost.
+const HOLD_TTL_SECONDS = 24 * 60 * 60;
+const holdKey = (projectId, contact) => `webhook-hold:${projectId}:${contact}`;
+
+async function readHold(projectId, contact) {
+  const raw = await redisClient.get(holdKey(projectId, contact));
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function saveHold(projectId, contact, hold) {
+  await redisClient.set(
+    holdKey(projectId, contact),
+    JSON.stringify(hold),
+    "EX",
+    HOLD_TTL_SECONDS
+  );
+}
+
+// Whether the flow saved a step for the message before it failed; running it
+// again would hand the same text to the next node
+async function hasRunMessage(projectId, message) {
+  if (!message.id) return false;
+  const session = await getSession(projectId, message.from);
+  return session?.lastMessageId === message.id;
+}
+
+// Records sent / delivered / read / failed receipts on the outbound messages.
+// Returns the statuses that could not be applied.
+async function handleStatusUpdates(project, statuses) {
+  const failed = [];
+  for (const status of statuses) {
+    try {
+      const update = normalizeStatusUpdate(status);
+      const message = await applyStatusUpdate({
+        projectId: project._id,
+        update,
+      });
+
+      if (message?.status === "failed") {
+        console.warn(
+          `Message ${update.waMessageId} to ${update.recipient} failed:`,
+          update.error?.title
+        );
+        if (message.nodeId) {
+          await handleDeliveryFailure({
+            projectId: project._id,
+            senderWaPhoneNo: message.contact,
+            nodeId: message.nodeId,
+            waMessageId: message.waMessageId,
+          });
+        }
+        // Only now, so a retry of this status runs the branch again
+        await markFailureHandled(message);
+      }
+    } catch (err) {
+      console.error("Failed to apply status update:", err.message);
+      failed.push(status);
+    }
+  }
+  return failed;
+}
+
+// Stores one inbound message and runs the flow for it, once per message id
+async function handleInboundMessage(project, message, jobId) {
+  const claim = await claimInboundMessage(project._id, message.id, jobId);
+  if (!claim) {
+    console.log(`Skipped duplicate message ${message.id}`);
+    return;
+  }
+
+  const event = normalizeInboundMessage(message);
+
+  // Keep a copy of every inbound attachment before WhatsApp's link expires
+  if (event.media?.id) {
+    try {
+      await storeInboundMedia({
+        projectId: project._id,
+        mediaId: event.media.id,
+        contact: event.from,
+        filename: event.media.filename,
+      });
+      event.media.storedUrl = getMediaUrl(project._id, event.media.id);
+    } catch (err) {
+      console.error("Failed to store inbound media:", err.message);
+    }
+  }
+
+  // A retry of the same job already stored the message
+  if (!claim.retry) {
+    try {
+      await recordMessage({
+        projectId: project._id,
+        contact: event.from,
+        direction: "inbound",
+        type: event.type,
+        text: event.text,
+        payload: event,
+        waMessageId: event.id,
+      });
+    } catch (err) {
+      console.error("Failed to store inbound message:", err.message);
+    }
+  }
+
+  // Send text, button / list reply ids and the full event to the processor
+  await processMessage({
+    projectId: project._id,
+    senderWaPhoneNo: event.from,
+    messageText: event.text,
+    buttonReplyId: event.buttonReplyId,
+    listReplyId: event.listReplyId,
+    event,
+  });
+
+  await completeInboundMessage(project._id, message.id);
+}
+
+/**
+ * Runs one sender's messages in order and returns the entries that failed.
+ * After a failed message the sender's later messages are held until this
+ * job's retry has run it, then run in order by that retry. A message whose
+ * flow step was saved before the failure is not retried.
+ */
+async function handleSenderMessages(project, entries, jobId) {
+  const projectId = project._id;
+  const contact = entries[0].message.from;
+  const failed = [];
+
+  // Returns false when the message has to be retried
+  const run = async ({ message }) => {
+    try {
+      await handleInboundMessage(project, message, jobId);
+      return true;
+    } catch (err) {
+      console.error(`Failed to process message ${message.id}:`, err);
+      if (!(await hasRunMessage(projectId, message))) return false;
+
+      console.warn(
+        `Message ${message.id} already moved the flow on, not retried`
+      );
+      await completeInboundMessage(projectId, message.id);
+      return true;
+    }
+  };
+
+  for (const [index, entry] of entries.entries()) {
+    try {
+      const done = await withContactLock(projectId, contact, async () => {
+        const hold = await readHold(projectId, contact);
+        if (hold && hold.jobId !== jobId) {
+          hold.held.push(entry);
+          await saveHold(projectId, contact, hold);
+          return true;
+        }
+        if (await run(entry)) return true;
+
+        failed.push(entry);
+        await saveHold(projectId, contact, {
+          jobId,
+          held: [...entries.slice(index + 1), ...(hold?.held || [])],
+        });
+        return false;
+      });
+      if (!done) return failed;
+    } catch (err) {
+      // Most likely the lock timed out; the rest is retried as it is
+      console.error(`Failed to process message ${entry.message.id}:`, err);
+      return [...failed, ...entries.slice(index)];
+    }
+  }
+
+  // Run what was held behind this job's messages, one lock at a time
+  for (;;) {
+    try {
+      const ranOne = await withContactLock(projectId, contact, async () => {
+        const hold = await readHold(projectId, contact);
+        if (hold?.jobId !== jobId) return false;
+
+        const entry = hold.held.shift();
+        if (!entry) {
+          await redisClient.del(holdKey(projectId, contact));
+          return false;
+        }
+        const ok = await run(entry);
+        if (!ok) failed.push(entry);
+        await saveHold(projectId, contact, hold);
+        return ok;
+      });
+      if (!ranOne) return failed;
+    } catch (err) {
+      // Retry this job's messages, which are skipped as already handled,
+      // so that the retry runs the rest of the held ones
+      console.error(`Failed to run the held messages of ${contact}:`, err);
+      return [...failed, ...entries];
+    }
+  }
+}
+
+/**
+ * Handles a whole webhook payload. Meta may batch several entries, changes,
+ * messages and statuses, possibly for different phone numbers, into one call.
+ * Each sender's messages run one after another in timestamp order; different
+ * senders run in parallel. Failures are logged and never abort the batch;
+ * after a failed message the sender's later messages, in this payload or
+ * later ones, wait for the retry, see handleSenderMessages.
+ * With `projectId` (a per-project webhook URL) changes for other projects'
+ * phone numbers are ignored. `jobId` identifies the queue job, whose retries
+ * may re-run messages it already claimed.
+ *
+ * Returns a payload of the same shape holding only the messages and statuses
+ * that failed, for the job queue to retry, or null when everything succeeded.
+ */
+export async function processWebhookPayload(body, { projectId, jobId } = {}) {
+  const projectsByPhoneNumberId = new Map();
+  const findProject = async (phoneNumberId) => {
+    if (!projectsByPhoneNumberId.has(phoneNumberId)) {
+      projectsByPhoneNumberId.set(
+        phoneNumberId,
+        await projectModel.findOne({
+          whatsappPhoneNumberId: phoneNumberId,
+          isActive: true,
+        })
+      );
+    }
+    return projectsByPhoneNumberId.get(phoneNumberId);
+  };
+
+  const statusJobs = [];
+  const messagesBySender = new Map();
+  const failedByPhoneNumberId = new Map();
+  const markFailed = (metadata, field, items) => {
+    if (!items.length) return;
+    const key = metadata.phone_number_id;
+    if (!failedByPhoneNumberId.has(key)) {
+      failedByPhoneNumberId.set(key, { metadata, messages: [], statuses: [] });
+    }
+    failedByPhoneNumberId.get(key)[field].push(...items);
+  };
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value;
+      const phoneNumberId = value?.metadata?.phone_number_id;
+      if (!phoneNumberId) continue;
+
+      const project = await findProject(phoneNumberId);
+      if (!project) {
+        console.warn("No project found for phone_number_id:", phoneNumberId);
+        continue;
+      }
+      if (projectId && String(project._id) !== String(projectId)) {
+        console.warn(
+          `Ignored phone_number_id ${phoneNumberId} sent to the webhook of project ${projectId}`
+        );
+        continue;
+      }
+
+      if (value.statuses?.length) {
+        statusJobs.push(
+          handleStatusUpdates(project, value.statuses).then((failed) =>
+            markFailed(value.metadata, "statuses", failed)
+          )
+        );
+      }
+
+      for (const message of value.messages || []) {
+        if (!message?.from) continue;
+        const key = `${project._id}:${message.from}`;
+        if (!messagesBySender.has(key)) {
+          messagesBySender.set(key, { project, entries: [] });
+        }
+        messagesBySender
+          .get(key)
+          .entries.push({ metadata: value.metadata, message });
+      }
+    }
+  }
+
+  const senderJobs = [...messagesBySender.values()].map(
+    async ({ project, entries }) => {
+      entries.sort(
+        (a, b) => Number(a.message.timestamp) - Number(b.message.timestamp)
+      );
+      const failed = await handleSenderMessages(project, entries, jobId);
+      for (const { metadata, message } of failed) {
+        markFailed(metadata, "messages", [message]);
+      }
+    }
+  );
+
+  await Promise.allSettled([...statusJobs, ...senderJobs]);
+
+  if (!failedByPhoneNumberId.size) return null;
+  return {
+    object: body.object,
+    entry: [
+      {
+        changes: [...failedByPhoneNumberId.values()].map((value) => ({
+          field: "messages",
+          value,
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Ends the holds a job kept for the senders of its failed messages, before
+ * the job is dead-lettered. Returns the job's payload with the held messages
+ * added, so they are dead-lettered with it and a replay runs them in order.
+ */
+export async function releaseHeldMessages(body, jobId) {
+  const released = structuredClone(body);
+
+  for (const entry of released.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value;
+      if (!value?.messages?.length) continue;
+      const project = await projectModel.findOne({
+        whatsappPhoneNumberId: value.metadata?.phone_number_id,
+      });
+      if (!project) continue;
+
+      const contacts = new Set(value.messages.map((message) => message.from));
+      for (const contact of contacts) {
+        const held = await withContactLock(project._id, contact, async () => {
+          const hold = await readHold(project._id, contact);
+          if (hold?.jobId !== jobId) return [];
+          await redisClient.del(holdKey(project._id, contact));
+          return hold.held;
+        });
+        value.messages.push(...held.map(({ message }) => message));
+      }
+    }
+  }
+  return released;
+}
@@ -0,0 +1,285 @@
+import crypto from "crypto";
+import redisClient from "./redis.service.js";
+import {
+  processWebhookPayload,
+  releaseHeldMessages,
+} from "./webhook.service.js";
+
+// Webhook payloads are acknowledged right away and processed from Redis:
+//   pending         list of jobs waiting for a worker
+//   processing:<id> list of jobs taken by the worker process <id>
+//   delayed         sorted set of jobs waiting for a retry, scored by due time
+//   dead            list of jobs that ran out of attempts
+const PENDING_KEY = "webhook-jobs:pending";
+const DELAYED_KEY = "webhook-jobs:delayed";
+const DEAD_KEY = "webhook-jobs:dead";
+
+// Worker processes register here and keep a heartbeat key alive. The jobs of
+// a worker whose heartbeat expired are put back on the pending list.
+const WORKERS_KEY = "webhook-workers";
+const HEARTBEAT_TTL_MS = 30 * 1000;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+
+const processingKey = (workerId) => `webhook-jobs:processing:${workerId}`;
+const heartbeatKey = (workerId) => `webhook-workers:${workerId}:alive`;
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 5;
+const BACKOFF_MS = Number(process.env.WEBHOOK_JOB_BACKOFF_MS) || 5000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+function createJob(body, projectId) {
+  return {
+    id: crypto.randomUUID(),
+    body,
+    projectId: projectId ? String(projectId) : null,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+}
+
+export async function enqueueWebhookJob(body, { projectId } = {}) {
+  const job = createJob(body, projectId);
+  await redisClient.lpush(PENDING_KEY, JSON.stringify(job));
+  return job;
+}
+
+// 5s, 10s, 20s, ... up to 15 minutes
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Retries only what failed; after the last attempt the job is dead-lettered
+async function handleJobFailure(job, retryBody, error) {
+  const failedJob = {
+    ...job,
+    body: retryBody,
+    lastError: error,
+    failedAt: new Date().toISOString(),
+  };
+
+  if (job.attempts >= MAX_ATTEMPTS) {
+    console.error(
+      `Webhook job ${job.id} failed ${job.attempts} times, moved to dead letters:`,
+      error
+    );
+    // The senders' messages held for this job's retry go with it
+    try {
+      failedJob.body = await releaseHeldMessages(retryBody, job.id);
+    } catch (err) {
+      console.error(`Failed to release the messages held for ${job.id}:`, err);
+    }
+    await redisClient.lpush(DEAD_KEY, JSON.stringify(failedJob));
+    return;
+  }
+
+  const delay = getBackoffDelay(job.attempts);
+  console.warn(`Webhook job ${job.id} failed, retrying in ${delay}ms:`, error);
+  await redisClient.zadd(
+    DELAYED_KEY,
+    Date.now() + delay,
+    JSON.stringify(failedJob)
+  );
+}
+
+async function runJob(rawJob) {
+  const job = JSON.parse(rawJob);
+  job.attempts += 1;
+
+  try {
+    const retryBody = await processWebhookPayload(job.body, {
+      projectId: job.projectId,
+      jobId: job.id,
+    });
+    if (retryBody) {
+      await handleJobFailure(job, retryBody, "Some messages failed");
+    }
+  } catch (err) {
+    // The payload as a whole could not be handled, e.g. the database was down
+    await handleJobFailure(job, job.body, err.message);
+  }
+}
+
+// Moves retries whose backoff has elapsed back onto the pending list
+async function promoteDueJobs() {
+  const dueJobs = await redisClient.zrangebyscore(
+    DELAYED_KEY,
+    "-inf",
+    Date.now(),
+    "LIMIT",
+    0,
+    100
+  );
+  for (const rawJob of dueJobs) {
+    // Only the worker that removes the job re-queues it
+    if (await redisClient.zrem(DELAYED_KEY, rawJob)) {
+      await redisClient.lpush(PENDING_KEY, rawJob);
+    }
+  }
+}
+
+let workers = [];
+let workerId = null;
+let promoteTimer = null;
+let heartbeatTimer = null;
+
+async function sendHeartbeat() {
+  await redisClient.set(heartbeatKey(workerId), "1", "PX", HEARTBEAT_TTL_MS);
+}
+
+// Requeues the jobs of worker processes that stopped without finishing them
+async function requeueAbandonedJobs() {
+  const workerIds = await redisClient.smembers(WORKERS_KEY);
+
+  for (const id of workerIds) {
+    if (id === workerId || (await redisClient.exists(heartbeatKey(id)))) {
+      continue;
+    }
+
+    let abandonedJob;
+    do {
+      abandonedJob = await redisClient.rpoplpush(
+        processingKey(id),
+        PENDING_KEY
+      );
+      if (abandonedJob) {
+        console.warn(`Requeued a webhook job abandoned by worker ${id}`);
+      }
+    } while (abandonedJob);
+    await redisClient.srem(WORKERS_KEY, id);
+  }
+}
+
+async function workLoop(connection, state) {
+  const ownProcessingKey = processingKey(workerId);
+
+  while (!state.stopped) {
+    let rawJob = null;
+    try {
+      rawJob = await connection.brpoplpush(PENDING_KEY, ownProcessingKey, 5);
+      if (!rawJob) continue;
+
+      await runJob(rawJob);
+    } catch (err) {
+      if (state.stopped) break;
+      console.error("Webhook worker error:", err.message);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    } finally {
+      if (rawJob) {
+        await redisClient.lrem(ownProcessingKey, 1, rawJob).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Starts `concurrency` workers, each on its own Redis connection since they
+ * block while waiting for jobs. Jobs left behind by worker processes that
+ * stopped mid-job are put back on the pending list, both now and whenever
+ * such a worker's heartbeat runs out; jobs of live workers are left alone.
+ */
+export async function startWebhookWorker({
+  concurrency = Number(process.env.WEBHOOK_WORKER_CONCURRENCY) || 4,
+} = {}) {
+  if (workers.length) return;
+
+  workerId = crypto.randomUUID();
+  await sendHeartbeat();
+  await redisClient.sadd(WORKERS_KEY, workerId);
+  await requeueAbandonedJobs();
+
+  heartbeatTimer = setInterval(() => {
+    sendHeartbeat()
+      .then(requeueAbandonedJobs)
+      .catch((err) =>
+        console.error("Webhook worker heartbeat failed:", err.message)
+      );
+  }, HEARTBEAT_INTERVAL_MS);
+
+  for (let i = 0; i < concurrency; i++) {
+    const connection = redisClient.duplicate();
+    const state = { stopped: false };
+    workers.push({
+      connection,
+      state,
+      done: workLoop(connection, state),
+    });
+  }
+
+  promoteTimer = setInterval(() => {
+    promoteDueJobs().catch((err) =>
+      console.error("Failed to promote delayed webhook jobs:", err.message)
+    );
+  }, 1000);
+
+  console.log(`Webhook worker started with ${concurrency} slots`);
+}
+
+export async function stopWebhookWorker() {
+  clearInterval(promoteTimer);
+  promoteTimer = null;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+
+  const stopping = workers;
+  workers = [];
+  stopping.forEach(({ state }) => (state.stopped = true));
+  await Promise.all(stopping.map(({ done }) => done));
+  stopping.forEach(({ connection }) => connection.disconnect());
+
+  if (workerId) {
+    // Anything still listed was not finished; hand it to the other workers
+    let unfinishedJob;
+    do {
+      unfinishedJob = await redisClient.rpoplpush(
+        processingKey(workerId),
+        PENDING_KEY
+      );
+    } while (unfinishedJob);
+    await redisClient.del(heartbeatKey(workerId));
+    await redisClient.srem(WORKERS_KEY, workerId);
+    workerId = null;
+  }
+}
+
+export async function getQueueStats() {
+  const workerIds = await redisClient.smembers(WORKERS_KEY);
+  const [pending, delayed, dead, ...processingCounts] = await Promise.all([
+    redisClient.llen(PENDING_KEY),
+    redisClient.zcard(DELAYED_KEY),
+    redisClient.llen(DEAD_KEY),
+    ...workerIds.map((id) => redisClient.llen(processingKey(id))),
+  ]);
+  const processing = processingCounts.reduce((sum, count) => sum + count, 0);
+  return { pending, processing, delayed, dead, workers: workerIds.length };
+}
+
+// Newest first
+export async function getDeadLetterJobs({ start = 0, limit = 20 } = {}) {
+  const rawJobs = await redisClient.lrange(DEAD_KEY, start, start + limit - 1);
+  return rawJobs.map((rawJob) => JSON.parse(rawJob));
+}
+
+// Puts dead-lettered jobs back on the queue with a fresh set of attempts.
+// Without `jobId` every dead-lettered job is replayed. Returns the count.
+export async function replayDeadLetterJobs({ jobId } = {}) {
+  const rawJobs = await redisClient.lrange(DEAD_KEY, 0, -1);
+  let replayed = 0;
+
+  for (const rawJob of rawJobs) {
+    const job = JSON.parse(rawJob);
+    if (jobId && job.id !== jobId) continue;
+
+    if (await redisClient.lrem(DEAD_KEY, 1, rawJob)) {
+      await redisClient.lpush(
+        PENDING_KEY,
+        JSON.stringify({
+          ...job,
+          attempts: 0,
+          replayedAt: new Date().toISOString(),
+        })
+      );
+      replayed++;
+    }
+  }
+  return replayed;
+}
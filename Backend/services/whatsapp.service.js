@@ -1,8 +1,12 @@
 import axios from "axios";
 import projectModel from "../models/project.model.js";
+import {recordMessage} from "./messageLog.service.js";
+import {decryptSecret} from "./encryption.service.js";
+import {sendOnce} from "./idempotency.service.js";
 
-// Helper function to get project credentials securely
-async function getProjectCredentials(projectId) {
+// Helper function to get project credentials securely.
+// This is the only place the stored access token is decrypted.
+export async function getProjectCredentials(projectId) {
   const project = await projectModel
     .findById(projectId)
     .select("whatsappPhoneNumberId whatsappAccessToken");
@@ -17,11 +21,92 @@ async function getProjectCredentials(projectId) {
   }
   return {
     phoneNumberId: project.whatsappPhoneNumberId,
-    accessToken: project.whatsappAccessToken,
+    accessToken: decryptSecret(project.whatsappAccessToken),
   };
 }
 
-export async function sendWhatsappMessage({to, text, projectId, buttons = []}) {
+// Stores a sent message in the conversation history; a failure to store it
+// never fails the send itself
+async function logOutboundMessage({
+  projectId,
+  to,
+  payload,
+  response,
+  text,
+  nodeId,
+  sentBy,
+}) {
+  try {
+    await recordMessage({
+      projectId,
+      contact: to,
+      direction: "outbound",
+      type: payload.type,
+      text,
+      payload,
+      waMessageId: response?.messages?.[0]?.id,
+      nodeId,
+      sentBy,
+    });
+  } catch (error) {
+    console.error("Failed to store outbound message:", error);
+  }
+}
+
+// WhatsApp limits for interactive messages
+const MAX_REPLY_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const DEFAULT_LIST_BUTTON_TEXT = "Choose an option";
+
+// Accepts plain labels or already formatted reply buttons
+function formatReplyButtons(buttons) {
+  return typeof buttons[0] === "string"
+    ? buttons.map((label, index) => ({
+        type: "reply",
+        reply: {
+          id: `btn_${index + 1}_${label.toLowerCase().replace(/\s+/g, "_")}`,
+          title: label,
+        },
+      }))
+    : buttons;
+}
+
+// Builds an interactive list, capped at WhatsApp's 10 rows across all sections
+function buildListInteractive(text, {buttonText, sections}) {
+  let remainingRows = MAX_LIST_ROWS;
+  const cappedSections = [];
+
+  for (const section of sections) {
+    const rows = (section.rows || []).slice(0, remainingRows);
+    if (rows.length < (section.rows || []).length) {
+      console.warn(
+        `List message exceeds ${MAX_LIST_ROWS} rows. Extra rows were not sent.`
+      );
+    }
+    remainingRows -= rows.length;
+    if (rows.length > 0) cappedSections.push({...section, rows});
+  }
+
+  return {
+    type: "list",
+    body: {text},
+    action: {
+      button: buttonText || DEFAULT_LIST_BUTTON_TEXT,
+      sections: cappedSections,
+    },
+  };
+}
+
+export async function sendWhatsappMessage({
+  to,
+  text,
+  projectId,
+  buttons = [],
+  list = null,
+  nodeId,
+  sentBy,
+  dedupeKey,
+}) {
   try {
     const {phoneNumberId, accessToken} = await getProjectCredentials(projectId);
 
@@ -29,21 +114,31 @@ export async function sendWhatsappMessage({to, text, projectId, buttons = []}) {
 
     let payload;
 
-    // If buttons are provided, send interactive button message
-    if (buttons.length > 0) {
-      const formattedButtons =
-        typeof buttons[0] === "string"
-          ? buttons.slice(0, 3).map((label, index) => ({
-              type: "reply",
-              reply: {
-                id: `btn_${index + 1}_${label
-                  .toLowerCase()
-                  .replace(/\s+/g, "_")}`,
-                title: label,
-              },
-            }))
-          : buttons.slice(0, 3); // already formatted
+    const formattedButtons = formatReplyButtons(buttons);
 
+    // More options than reply buttons allow are sent as a single-section list
+    if (!list && formattedButtons.length > MAX_REPLY_BUTTONS) {
+      list = {
+        sections: [
+          {
+            rows: formattedButtons.map(({reply}) => ({
+              id: reply.id,
+              title: reply.title,
+            })),
+          },
+        ],
+      };
+    }
+
+    if (list) {
+      payload = {
+        messaging_product: "whatsapp",
+        to,
+        type: "interactive",
+        interactive: buildListInteractive(text, list),
+      };
+    } else if (formattedButtons.length > 0) {
+      // If buttons are provided, send interactive button message
       payload = {
         messaging_product: "whatsapp",
         to,
@@ -68,14 +163,27 @@ export async function sendWhatsappMessage({to, text, projectId, buttons = []}) {
       };
     }
 
-    const response = await axios.post(url, payload, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-    });
+    const response = await sendOnce(projectId, dedupeKey, () =>
+      axios.post(url, payload, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      })
+    );
+    // Already sent by an earlier attempt of the same job
+    if (!response) return null;
 
     console.log("Message sent successfully:", response.data);
+    await logOutboundMessage({
+      projectId,
+      to,
+      payload,
+      response: response.data,
+      text,
+      nodeId,
+      sentBy,
+    });
     return response.data;
   } catch (error) {
     console.error(
@@ -86,34 +194,120 @@ export async function sendWhatsappMessage({to, text, projectId, buttons = []}) {
   }
 }
 
-export async function sendWhatsappMedia({to, content, projectId}) {
+// Media types the Cloud API accepts and which of them support captions / filenames
+const MEDIA_TYPES = ["image", "video", "audio", "sticker", "document"];
+const CAPTION_MEDIA_TYPES = ["image", "video", "document"];
+
+export async function sendWhatsappMedia({
+  to,
+  type = "document",
+  content,
+  projectId,
+  nodeId,
+  dedupeKey,
+}) {
   try {
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new Error(`Unsupported WhatsApp media type: ${type}`);
+    }
+
     const {phoneNumberId, accessToken} = await getProjectCredentials(projectId);
 
-    let payload;
+    // A previously uploaded media ID can be sent instead of a public link
+    const media = content.mediaId
+      ? {id: content.mediaId}
+      : {link: content.mediaUrl};
+
+    if (content.caption && CAPTION_MEDIA_TYPES.includes(type)) {
+      media.caption = content.caption;
+    }
+    if (content.filename && type === "document") {
+      media.filename = content.filename;
+    }
 
-    payload = {
+    const payload = {
       messaging_product: "whatsapp",
       to,
-      type: "document",
-      document: {
-        link: content.mediaUrl,
-      },
+      type,
+      [type]: media,
     };
     const url = `https://graph.facebook.com/v19.0/${phoneNumberId}/messages`;
-    const response = await axios.post(url, payload, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-    });
+    const response = await sendOnce(projectId, dedupeKey, () =>
+      axios.post(url, payload, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      })
+    );
+    if (!response) return null;
 
     console.log("Media sent successfully:", response.data);
+    await logOutboundMessage({
+      projectId,
+      to,
+      payload,
+      response: response.data,
+      text: media.caption,
+      nodeId,
+    });
     return response.data;
   } catch (error) {
     console.error(
       "Error sending WhatsApp media:",
       error.response ? error.response.data : error.message
     );
+    throw error;
+  }
+}
+
+export async function sendWhatsappTemplate({
+  to,
+  projectId,
+  name,
+  language,
+  components = [],
+  nodeId,
+  dedupeKey,
+}) {
+  try {
+    const {phoneNumberId, accessToken} = await getProjectCredentials(projectId);
+
+    const payload = {
+      messaging_product: "whatsapp",
+      to,
+      type: "template",
+      template: {
+        name,
+        language: {code: language},
+        ...(components.length > 0 && {components}),
+      },
+    };
+    const url = `https://graph.facebook.com/v19.0/${phoneNumberId}/messages`;
+    const response = await sendOnce(projectId, dedupeKey, () =>
+      axios.post(url, payload, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      })
+    );
+    if (!response) return null;
+
+    console.log("Template sent successfully:", response.data);
+    await logOutboundMessage({
+      projectId,
+      to,
+      payload,
+      response: response.data,
+      nodeId,
+    });
+    return response.data;
+  } catch (error) {
+    console.error(
+      "Error sending WhatsApp template:",
+      error.response ? error.response.data : error.message
+    );
+    throw error;
   }
 }
@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import redisClient from "../services/redis.service.js";
+import projectModel from "../models/project.model.js";
+import { sendWhatsappMessage } from "../services/whatsapp.service.js";
+import { markSplitCompleted } from "../services/split.service.js";
+import { withContactLock } from "../services/contactLock.service.js";
+import { processMessage } from "../services/flowExecutor.service.js";
+
+vi.mock("../services/redis.service.js", async () => {
+  const { createFakeRedis } = await import("./helpers/fakeRedis.js");
+  return { default: createFakeRedis() };
+});
+vi.mock("../models/project.model.js", () => ({
+  default: { findById: vi.fn() },
+}));
+vi.mock("../services/whatsapp.service.js", () => ({
+  sendWhatsappMessage: vi.fn(),
+  sendWhatsappMedia: vi.fn(),
+  sendWhatsappTemplate: vi.fn(),
+}));
+vi.mock("../services/split.service.js", () => ({
+  assignSplitBranch: vi.fn(),
+  markSplitCompleted: vi.fn(),
+}));
+vi.mock("../services/conversation.service.js", () => ({
+  getAgentConversation: vi.fn().mockResolvedValue(null),
+  startHandoff: vi.fn(),
+  notifyHandoff: vi.fn(),
+}));
+
+const PROJECT_ID = "64b7f0c2a1b2c3d4e5f60718";
+const CONTACT = "15550001111";
+const LOCK_KEY = `flow-lock:${PROJECT_ID}:${CONTACT}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// start -> "greet" message node, after which the flow ends
+const fileTree = {
+  nodes: [
+    { id: "start", type: "start", data: { properties: {} } },
+    { id: "greet", type: "message", data: { properties: { message: "Hi" } } },
+  ],
+  edges: [{ id: "e1", source: "start", target: "greet" }],
+};
+
+beforeEach(() => {
+  redisClient.strings.clear();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  projectModel.findById.mockReturnValue({
+    select: () => Promise.resolve({ fileTree, flowVersion: 1 }),
+  });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  sendWhatsappMessage.mockReset();
+  markSplitCompleted.mockReset();
+});
+
+describe("withContactLock", () => {
+  it("runs overlapping calls for one contact one after the other", async () => {
+    const events = [];
+    const run = (name) =>
+      withContactLock(PROJECT_ID, CONTACT, async () => {
+        events.push(`${name} start`);
+        await sleep(20);
+        events.push(`${name} end`);
+        return name;
+      });
+
+    await expect(Promise.all([run("first"), run("second")])).resolves.toEqual([
+      "first",
+      "second",
+    ]);
+    expect(events).toEqual([
+      "first start",
+      "first end",
+      "second start",
+      "second end",
+    ]);
+    expect(redisClient.strings.has(LOCK_KEY)).toBe(false);
+  });
+
+  it("does not make other contacts wait", async () => {
+    const events = [];
+    const run = (contact) =>
+      withContactLock(PROJECT_ID, contact, async () => {
+        events.push(`${contact} start`);
+        await sleep(20);
+        events.push(`${contact} end`);
+      });
+
+    await Promise.all([run("111"), run("222")]);
+    expect(events.slice(0, 2)).toEqual(["111 start", "222 start"]);
+  });
+
+  it("runs a nested call for a lock the caller holds", async () => {
+    await expect(
+      withContactLock(PROJECT_ID, CONTACT, () =>
+        withContactLock(PROJECT_ID, CONTACT, async () => "nested")
+      )
+    ).resolves.toBe("nested");
+    expect(redisClient.strings.has(LOCK_KEY)).toBe(false);
+  });
+
+  it("releases the lock when the callback throws", async () => {
+    await expect(
+      withContactLock(PROJECT_ID, CONTACT, async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+
+    expect(redisClient.strings.has(LOCK_KEY)).toBe(false);
+    await expect(
+      withContactLock(PROJECT_ID, CONTACT, async () => "next")
+    ).resolves.toBe("next");
+  });
+});
+
+describe("processMessage", () => {
+  const message = (messageText) => ({
+    projectId: PROJECT_ID,
+    senderWaPhoneNo: CONTACT,
+    messageText,
+  });
+
+  it("runs two overlapping messages from one contact in order", async () => {
+    const events = [];
+    let sends = 0;
+    sendWhatsappMessage.mockImplementation(async () => {
+      const send = ++sends;
+      events.push(`send ${send} start`);
+      await sleep(20);
+      events.push(`send ${send} end`);
+    });
+
+    await Promise.all([
+      processMessage(message("hello")),
+      processMessage(message("hello again")),
+    ]);
+
+    expect(events).toEqual([
+      "send 1 start",
+      "send 1 end",
+      "send 2 start",
+      "send 2 end",
+    ]);
+    expect(redisClient.strings.has(LOCK_KEY)).toBe(false);
+  });
+
+  it("records split completion when the flow runs out of nodes", async () => {
+    await processMessage(message("hello"));
+
+    expect(markSplitCompleted).toHaveBeenCalledWith({
+      projectId: PROJECT_ID,
+      contact: CONTACT,
+    });
+  });
+
+  it("releases the contact's lock when the flow throws", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    sendWhatsappMessage.mockRejectedValueOnce(new Error("WhatsApp is down"));
+
+    await expect(processMessage(message("hello"))).rejects.toThrow(
+      "WhatsApp is down"
+    );
+    expect(redisClient.strings.has(LOCK_KEY)).toBe(false);
+
+    sendWhatsappMessage.mockResolvedValueOnce(undefined);
+    await processMessage(message("hello again"));
+    expect(sendWhatsappMessage).toHaveBeenCalledTimes(2);
+  });
+});
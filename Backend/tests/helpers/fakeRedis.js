@@ -0,0 +1,72 @@
+// In-memory stand-in for the ioredis client, covering the commands the flow
+// lock and the session store use. Expiry times are ignored.
+export function createFakeRedis() {
+  const strings = new Map();
+  const sortedSets = new Map();
+
+  const client = {
+    strings,
+
+    async get(key) {
+      return strings.has(key) ? strings.get(key) : null;
+    },
+
+    async mget(...keys) {
+      return keys.map((key) => (strings.has(key) ? strings.get(key) : null));
+    },
+
+    async set(key, value, ...options) {
+      if (options.includes("NX") && strings.has(key)) return null;
+      strings.set(key, String(value));
+      return "OK";
+    },
+
+    async del(...keys) {
+      return keys.filter((key) => strings.delete(key)).length;
+    },
+
+    async zadd(key, score, member) {
+      if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+      sortedSets.get(key).set(member, Number(score));
+      return 1;
+    },
+
+    async zrem(key, member) {
+      return sortedSets.get(key)?.delete(member) ? 1 : 0;
+    },
+
+    // Only the compare-and-delete / compare-and-extend lock scripts
+    async eval(script, numKeys, key, token) {
+      if (strings.get(key) !== token) return 0;
+      if (script.includes('"del"')) strings.delete(key);
+      return 1;
+    },
+
+    multi() {
+      const commands = [];
+      const chain = new Proxy(
+        {},
+        {
+          get(target, name) {
+            if (name === "exec") {
+              return async () => {
+                const results = [];
+                for (const [command, args] of commands) {
+                  results.push([null, await client[command](...args)]);
+                }
+                return results;
+              };
+            }
+            return (...args) => {
+              commands.push([name, args]);
+              return chain;
+            };
+          },
+        }
+      );
+      return chain;
+    },
+  };
+
+  return client;
+}
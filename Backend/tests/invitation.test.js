@@ -0,0 +1,83 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import invitationModel from "../models/invitation.model.js";
+import userModel from "../models/user.model.js";
+import { sendEmail } from "../services/email.Service.js";
+import { createInvitation } from "../services/invitation.service.js";
+
+vi.mock("../services/redis.service.js", async () => {
+  const { createFakeRedis } = await import("./helpers/fakeRedis.js");
+  return { default: createFakeRedis() };
+});
+vi.mock("../models/invitation.model.js", () => ({
+  default: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
+    deleteOne: vi.fn(),
+  },
+}));
+vi.mock("../models/user.model.js", () => ({
+  default: { findOne: vi.fn(), findById: vi.fn() },
+}));
+vi.mock("../services/email.Service.js", () => ({
+  sendEmail: vi.fn(),
+}));
+
+const project = { _id: "p1", name: "Support", users: [], members: [] };
+const invitation = {
+  _id: "i1",
+  email: "new@example.com",
+  role: "editor",
+  expiresAt: new Date(Date.now() + 60000),
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  process.env.JWT_SECRET = "test-secret";
+  userModel.findOne.mockResolvedValue(null);
+  userModel.findById.mockResolvedValue({ email: "owner@example.com" });
+  invitationModel.findOneAndUpdate.mockResolvedValue(invitation);
+  sendEmail.mockRejectedValue(new Error("Email sending failed"));
+});
+
+const invite = () =>
+  createInvitation({ project, email: "New@example.com", userId: "u1" });
+
+describe("createInvitation", () => {
+  it("deletes a new invitation whose email could not be sent", async () => {
+    invitationModel.findOne.mockResolvedValue(null);
+
+    await expect(invite()).rejects.toThrow("no invitation was created");
+    expect(invitationModel.deleteOne).toHaveBeenCalledWith({ _id: "i1" });
+  });
+
+  it("restores a re-sent invitation whose email could not be sent", async () => {
+    const previous = {
+      role: "viewer",
+      invitedBy: "u0",
+      tokenId: "old-token",
+      expiresAt: new Date(),
+    };
+    invitationModel.findOne.mockResolvedValue(previous);
+
+    await expect(invite()).rejects.toThrow("earlier invitation is unchanged");
+    expect(invitationModel.updateOne).toHaveBeenCalledWith(
+      { _id: "i1" },
+      previous
+    );
+    expect(invitationModel.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it("returns the invitation once the email went out", async () => {
+    invitationModel.findOne.mockResolvedValue(null);
+    sendEmail.mockResolvedValue(undefined);
+
+    await expect(invite()).resolves.toBe(invitation);
+    expect(sendEmail).toHaveBeenCalledWith(
+      "new@example.com",
+      "Invitation to join Support",
+      expect.stringContaining("/invite/")
+    );
+  });
+});
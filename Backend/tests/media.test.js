@@ -0,0 +1,73 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import express from "express";
+import { Readable } from "stream";
+import request from "supertest";
+import { openStoredMedia } from "../services/mediaStore.service.js";
+import { downloadMedia } from "../controllers/media.controller.js";
+
+vi.mock("../services/mediaStore.service.js", () => ({
+  openStoredMedia: vi.fn(),
+}));
+
+const app = express();
+// Stands in for requireProjectAccess
+app.get(
+  "/media/:mediaId",
+  (req, res, next) => {
+    req.project = { _id: "64b7f0c2a1b2c3d4e5f60718" };
+    next();
+  },
+  downloadMedia
+);
+
+const storedMedia = (media) =>
+  openStoredMedia.mockResolvedValue({
+    media,
+    stream: Readable.from([Buffer.from("file contents")]),
+  });
+
+beforeEach(() => {
+  openStoredMedia.mockReset();
+});
+
+describe("downloadMedia", () => {
+  it("serves an HTML upload as an attachment", async () => {
+    storedMedia({ mimeType: "text/html", filename: "invoice.html" });
+
+    const res = await request(app).get("/media/m1");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toBe(
+      `attachment; filename="invoice.html"; filename*=UTF-8''invoice.html`
+    );
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.headers["content-security-policy"]).toBe("sandbox");
+  });
+
+  it("serves an SVG without a filename as an attachment", async () => {
+    storedMedia({ mimeType: "image/svg+xml" });
+
+    const res = await request(app).get("/media/m1");
+
+    expect(res.headers["content-disposition"]).toBe("attachment");
+  });
+
+  it("shows safe image types inline", async () => {
+    storedMedia({ mimeType: "image/jpeg", filename: "photo.jpg" });
+
+    const res = await request(app).get("/media/m1");
+
+    expect(res.headers["content-disposition"]).toMatch(/^inline; /);
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+  });
+
+  it("keeps non-ASCII filenames in filename*", async () => {
+    storedMedia({ mimeType: "audio/ogg; codecs=opus", filename: "résumé.ogg" });
+
+    const res = await request(app).get("/media/m1");
+
+    expect(res.headers["content-disposition"]).toBe(
+      `inline; filename="r_sum_.ogg"; filename*=UTF-8''r%C3%A9sum%C3%A9.ogg`
+    );
+  });
+});
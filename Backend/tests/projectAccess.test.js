@@ -0,0 +1,182 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+import userModel from "../models/user.model.js";
+import projectModel from "../models/project.model.js";
+import projectRoutes from "../routes/project.routes.js";
+
+vi.mock("../services/redis.service.js", async () => {
+  const { createFakeRedis } = await import("./helpers/fakeRedis.js");
+  return { default: createFakeRedis() };
+});
+vi.mock("../models/user.model.js", () => ({
+  default: { findOne: vi.fn() },
+}));
+vi.mock("../models/project.model.js", () => ({
+  default: { findOne: vi.fn() },
+}));
+
+const PROJECT_ID = new mongoose.Types.ObjectId().toString();
+const user = { _id: new mongoose.Types.ObjectId(), email: "eve@example.com" };
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/projects", projectRoutes);
+
+// Every route of the router that works on one project
+const projectRouteList = projectRoutes.stack
+  .filter((layer) => layer.route?.path.includes(":projectId"))
+  .flatMap((layer) =>
+    Object.keys(layer.route.methods).map((method) => [
+      method.toUpperCase(),
+      layer.route.path,
+    ])
+  );
+
+// Routes that need more than read access, with the role they need
+const writeRoutes = [
+  ["DELETE", "/delete/:projectId", "owner"],
+  ["PATCH", "/update-flow/:projectId", "editor"],
+  ["PATCH", "/update-name/:projectId", "editor"],
+  ["PATCH", "/:projectId/members/:memberId", "owner"],
+  ["POST", "/:projectId/invitations", "owner"],
+  ["DELETE", "/:projectId/invitations/:invitationId", "owner"],
+  ["GET", "/whatsapp-config/:projectId", "owner"],
+  ["PATCH", "/whatsapp-config/:projectId", "owner"],
+  ["PATCH", "/toggle-active/:projectId", "editor"],
+  ["POST", "/:projectId/templates", "editor"],
+  ["PATCH", "/:projectId/templates/:templateId", "editor"],
+  ["DELETE", "/:projectId/templates/:templateId", "editor"],
+  ["POST", "/:projectId/conversations/:contact/reply", "editor"],
+  ["POST", "/:projectId/conversations/:contact/assign", "editor"],
+  ["POST", "/:projectId/conversations/:contact/close", "editor"],
+  ["POST", "/:projectId/conversations/:contact/release", "editor"],
+];
+
+const toUrl = (path, projectId = PROJECT_ID) =>
+  "/projects" +
+  path
+    .replace(":projectId", projectId)
+    .replace(/:\w+/g, new mongoose.Types.ObjectId().toString());
+
+const memberProject = (role) => ({
+  _id: PROJECT_ID,
+  users: [user._id],
+  members: [{ user: user._id, role }],
+  createdBy: new mongoose.Types.ObjectId(),
+});
+
+let token;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = "test-secret";
+  token = jwt.sign({ email: user.email }, process.env.JWT_SECRET);
+});
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  userModel.findOne.mockReset().mockResolvedValue(user);
+  projectModel.findOne.mockReset().mockResolvedValue(null);
+});
+
+const send = (method, url) =>
+  request(app)
+    [method.toLowerCase()](url)
+    .set("Authorization", `Bearer ${token}`);
+
+describe("project-scoped routes", () => {
+  it("covers the routes of the project router", () => {
+    expect(projectRouteList.length).toBeGreaterThan(20);
+  });
+
+  it.each(projectRouteList)(
+    "%s %s answers 404 to a user outside the project",
+    async (method, path) => {
+      const res = await send(method, toUrl(path));
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("Project not found or user not authorized");
+      expect(projectModel.findOne).toHaveBeenCalledWith({
+        _id: PROJECT_ID,
+        users: user._id,
+      });
+    }
+  );
+
+  it.each(projectRouteList)(
+    "%s %s answers 401 without a login token",
+    async (method, path) => {
+      const res = await request(app)[method.toLowerCase()](toUrl(path));
+
+      expect(res.status).toBe(401);
+      expect(projectModel.findOne).not.toHaveBeenCalled();
+    }
+  );
+
+  it("rejects an invalid project id before loading anything", async () => {
+    const res = await send("GET", toUrl("/get-project/:projectId", "nope"));
+
+    expect(res.status).toBe(400);
+    expect(projectModel.findOne).not.toHaveBeenCalled();
+  });
+
+  it("lets a viewer read the project with their role", async () => {
+    const project = memberProject("viewer");
+    project.populate = vi.fn().mockResolvedValue(project);
+    projectModel.findOne.mockResolvedValue(project);
+
+    const res = await send("GET", toUrl("/get-project/:projectId"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe("viewer");
+    expect(userModel.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it("masks the webhook verify token in project responses", async () => {
+    const { default: Project } = await vi.importActual(
+      "../models/project.model.js"
+    );
+    const project = new Project({ whatsappWebhookVerifyToken: "verify-1234" });
+
+    expect(project.toJSON().whatsappWebhookVerifyToken).toBe("****1234");
+  });
+
+  it("shows the full verify token to owners in the WhatsApp config", async () => {
+    projectModel.findOne.mockResolvedValue({
+      ...memberProject("owner"),
+      whatsappWebhookVerifyToken: "verify-me-1234",
+    });
+
+    const res = await send("GET", toUrl("/whatsapp-config/:projectId"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.config.whatsappWebhookVerifyToken).toBe("verify-me-1234");
+  });
+
+  it.each(writeRoutes)(
+    "%s %s answers 403 to a viewer",
+    async (method, path, role) => {
+      projectModel.findOne.mockResolvedValue(memberProject("viewer"));
+
+      const res = await send(method, toUrl(path));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe(`Only project ${role}s can do this`);
+    }
+  );
+
+  it.each(writeRoutes.filter(([, , role]) => role === "owner"))(
+    "%s %s answers 403 to an editor",
+    async (method, path) => {
+      projectModel.findOne.mockResolvedValue(memberProject("editor"));
+
+      const res = await send(method, toUrl(path));
+
+      expect(res.status).toBe(403);
+    }
+  );
+});
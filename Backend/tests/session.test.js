@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import redisClient from "../services/redis.service.js";
+import {
+  getSession,
+  getExpiredSession,
+  loadSession,
+  resetExpiredSession,
+} from "../services/session.service.js";
+
+vi.mock("../services/redis.service.js", async () => {
+  const { createFakeRedis } = await import("./helpers/fakeRedis.js");
+  return { default: createFakeRedis() };
+});
+
+const PROJECT_ID = "64b7f0c2a1b2c3d4e5f60718";
+const CONTACT = "15550001111";
+const SESSION_KEY = `flow-session:${PROJECT_ID}:${CONTACT}`;
+
+// Stores a session whose timeout passed a minute ago
+const storeExpiredSession = (fields) =>
+  redisClient.set(
+    SESSION_KEY,
+    JSON.stringify({
+      projectId: PROJECT_ID,
+      contact: CONTACT,
+      currentNodeId: "ask-name",
+      pendingInput: { type: "question", nodeId: "ask-name" },
+      retries: 1,
+      variables: { name: "Ada" },
+      expiresAt: new Date(Date.now() - 60000).toISOString(),
+      ...fields,
+    })
+  );
+
+beforeEach(() => {
+  redisClient.strings.clear();
+});
+
+describe("loadSession", () => {
+  it("starts an expired session over with its variables", async () => {
+    await storeExpiredSession();
+
+    const session = await loadSession(PROJECT_ID, CONTACT, 30);
+
+    expect(session).toMatchObject({
+      currentNodeId: null,
+      pendingInput: null,
+      retries: 0,
+      timeoutMinutes: 30,
+      variables: { name: "Ada" },
+    });
+  });
+
+  it("creates an empty session for a new contact", async () => {
+    const session = await loadSession(PROJECT_ID, CONTACT);
+
+    expect(session).toMatchObject({ currentNodeId: null, variables: {} });
+  });
+});
+
+describe("resetExpiredSession", () => {
+  it("takes the contact back to the start but keeps their variables", async () => {
+    await storeExpiredSession({ timedOutAt: new Date().toISOString() });
+
+    await resetExpiredSession(await getExpiredSession(PROJECT_ID, CONTACT));
+
+    const session = await getSession(PROJECT_ID, CONTACT);
+    expect(session).toMatchObject({
+      currentNodeId: null,
+      pendingInput: null,
+      retries: 0,
+      expiresAt: null,
+      timedOutAt: null,
+      variables: { name: "Ada" },
+    });
+  });
+});
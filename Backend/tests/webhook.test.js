@@ -0,0 +1,201 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import redisClient from "../services/redis.service.js";
+import projectModel from "../models/project.model.js";
+import messageModel from "../models/message.model.js";
+import {
+  processMessage,
+  handleDeliveryFailure,
+} from "../services/flowExecutor.service.js";
+import {
+  processWebhookPayload,
+  releaseHeldMessages,
+} from "../services/webhook.service.js";
+
+vi.mock("../services/redis.service.js", async () => {
+  const { createFakeRedis } = await import("./helpers/fakeRedis.js");
+  return { default: createFakeRedis() };
+});
+vi.mock("../models/project.model.js", () => ({
+  default: { findOne: vi.fn() },
+}));
+vi.mock("../models/message.model.js", () => ({
+  default: {
+    findOneAndUpdate: vi.fn(),
+    findOne: vi.fn(),
+    updateOne: vi.fn(),
+  },
+}));
+vi.mock("../services/flowExecutor.service.js", () => ({
+  processMessage: vi.fn(),
+  handleDeliveryFailure: vi.fn(),
+}));
+vi.mock("../services/realtime.service.js", () => ({
+  publishConversationEvent: vi.fn(),
+}));
+vi.mock("../services/messageLog.service.js", () => ({
+  recordMessage: vi.fn(),
+}));
+
+const project = { _id: "64b7f0c2a1b2c3d4e5f60718" };
+const PHONE_NUMBER_ID = "1000";
+
+const payload = (value) => ({
+  object: "whatsapp_business_account",
+  entry: [
+    {
+      changes: [
+        {
+          field: "messages",
+          value: { metadata: { phone_number_id: PHONE_NUMBER_ID }, ...value },
+        },
+      ],
+    },
+  ],
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  redisClient.strings.clear();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  projectModel.findOne.mockResolvedValue(project);
+});
+
+describe("delivery status updates", () => {
+  const failedStatus = {
+    id: "wamid.1",
+    status: "failed",
+    recipient_id: "15550001111",
+    timestamp: "1700000000",
+    errors: [{ code: 131026, title: "Message undeliverable" }],
+  };
+  const failedMessage = {
+    _id: "m1",
+    contact: "15550001111",
+    nodeId: "greet",
+    waMessageId: "wamid.1",
+    status: "failed",
+  };
+
+  it("runs the Delivery Failed branch again when its first run threw", async () => {
+    // First delivery: the status is saved, then the branch fails
+    messageModel.findOneAndUpdate.mockResolvedValueOnce(failedMessage);
+    handleDeliveryFailure.mockRejectedValueOnce(new Error("lock timeout"));
+
+    const retry = await processWebhookPayload(
+      payload({ statuses: [failedStatus] })
+    );
+    expect(retry.entry[0].changes[0].value.statuses).toEqual([failedStatus]);
+    expect(messageModel.updateOne).not.toHaveBeenCalled();
+
+    // Retry: the status is already "failed", so the update matches nothing
+    messageModel.findOneAndUpdate.mockResolvedValueOnce(null);
+    messageModel.findOne.mockResolvedValueOnce(failedMessage);
+    handleDeliveryFailure.mockResolvedValueOnce(true);
+
+    await expect(processWebhookPayload(retry)).resolves.toBeNull();
+    expect(messageModel.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "failed", failureHandledAt: null })
+    );
+    expect(handleDeliveryFailure).toHaveBeenCalledTimes(2);
+    expect(handleDeliveryFailure).toHaveBeenLastCalledWith({
+      projectId: project._id,
+      senderWaPhoneNo: "15550001111",
+      nodeId: "greet",
+      waMessageId: "wamid.1",
+    });
+    expect(messageModel.updateOne).toHaveBeenCalledWith(
+      { _id: "m1" },
+      { failureHandledAt: expect.any(Date) }
+    );
+  });
+
+  it("does not run the branch again once it was handled", async () => {
+    messageModel.findOneAndUpdate.mockResolvedValueOnce(null);
+    messageModel.findOne.mockResolvedValueOnce(null);
+
+    await expect(
+      processWebhookPayload(payload({ statuses: [failedStatus] }))
+    ).resolves.toBeNull();
+    expect(handleDeliveryFailure).not.toHaveBeenCalled();
+  });
+});
+
+describe("inbound message retries", () => {
+  const CONTACT = "15550001111";
+  const HOLD_KEY = `webhook-hold:${project._id}:${CONTACT}`;
+  const inbound = (id, timestamp) => ({
+    id,
+    from: CONTACT,
+    timestamp: String(timestamp),
+    type: "text",
+    text: { body: id },
+  });
+  const m1 = inbound("wamid.in1", 1700000001);
+  const m2 = inbound("wamid.in2", 1700000002);
+  const m3 = inbound("wamid.in3", 1700000003);
+
+  const ranMessageIds = () =>
+    processMessage.mock.calls.map(([message]) => message.event.id);
+
+  it("holds the contact's later messages until the failed one is retried", async () => {
+    processMessage.mockRejectedValueOnce(new Error("WhatsApp is down"));
+
+    const retry = await processWebhookPayload(payload({ messages: [m1, m2] }), {
+      jobId: "job-a",
+    });
+    expect(retry.entry[0].changes[0].value.messages).toEqual([m1]);
+
+    // A later job for the same contact must not overtake the retry
+    await expect(
+      processWebhookPayload(payload({ messages: [m3] }), { jobId: "job-b" })
+    ).resolves.toBeNull();
+    expect(ranMessageIds()).toEqual(["wamid.in1"]);
+
+    await expect(
+      processWebhookPayload(retry, { jobId: "job-a" })
+    ).resolves.toBeNull();
+    expect(ranMessageIds()).toEqual([
+      "wamid.in1",
+      "wamid.in1",
+      "wamid.in2",
+      "wamid.in3",
+    ]);
+    expect(redisClient.strings.has(HOLD_KEY)).toBe(false);
+  });
+
+  it("does not retry a message that already moved the flow on", async () => {
+    processMessage.mockImplementationOnce(async () => {
+      await redisClient.set(
+        `flow-session:${project._id}:${CONTACT}`,
+        JSON.stringify({
+          lastMessageId: "wamid.in1",
+          expiresAt: new Date(Date.now() + 60000).toISOString(),
+        })
+      );
+      throw new Error("WhatsApp is down");
+    });
+
+    await expect(
+      processWebhookPayload(payload({ messages: [m1, m2] }), { jobId: "job-a" })
+    ).resolves.toBeNull();
+    expect(ranMessageIds()).toEqual(["wamid.in1", "wamid.in2"]);
+    expect(redisClient.strings.has(HOLD_KEY)).toBe(false);
+  });
+
+  it("dead-letters the held messages with the job that held them", async () => {
+    processMessage.mockRejectedValueOnce(new Error("WhatsApp is down"));
+    const retry = await processWebhookPayload(
+      payload({ messages: [m1, m2] }),
+      { jobId: "job-a" }
+    );
+
+    const released = await releaseHeldMessages(retry, "job-a");
+    expect(released.entry[0].changes[0].value.messages).toEqual([m1, m2]);
+    expect(redisClient.strings.has(HOLD_KEY)).toBe(false);
+
+    await processWebhookPayload(payload({ messages: [m3] }), { jobId: "job-b" });
+    expect(ranMessageIds()).toEqual(["wamid.in1", "wamid.in3"]);
+  });
+});
@@ -20,6 +20,8 @@ import Support from "./pages/Support";
 import Footer from "./components/Footer";
 import Profile from "./pages/Profile";
 import Settings from "./pages/Settings";
+import Inbox from "./pages/Inbox";
+import AcceptInvite from "./pages/AcceptInvite";
 
 const router = createBrowserRouter([
   {
@@ -155,6 +157,10 @@ const router = createBrowserRouter([
     path: "/resetpassword",
     element: <ResetPasswordPage />,
   },
+  {
+    path: "/invite/:token",
+    element: <AcceptInvite />,
+  },
   {
     path: "*",
     element: <PageNotFound404 />,
@@ -167,6 +173,14 @@ const router = createBrowserRouter([
       </PrivateRoute>
     ),
   },
+  {
+    path: "projects/:id/inbox",
+    element: (
+      <PrivateRoute>
+        <Inbox />
+      </PrivateRoute>
+    ),
+  },
 ]);
 
 export default router;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Trash2 } from "lucide-react";
+import { getBranchLabels } from "../Nodes/Node-config";
 
 function EdgeDialog({ edge, onClose, onSave, onDelete, nodes, edges }) {
   const [label, setLabel] = useState("");
@@ -13,8 +14,7 @@ function EdgeDialog({ edge, onClose, onSave, onDelete, nodes, edges }) {
     const initialLabel = edge?.data?.label ?? edge?.label ?? "";
     setLabel(initialLabel);
 
-    const type = edge?.data?.sourceNodeType || sourceNode?.type || "";
-    setSourceIsCondition(type === "condition");
+    setSourceIsCondition(getBranchLabels(sourceNode) !== null);
     setError("");
   }, [edge, sourceNode]);
 
@@ -29,9 +29,11 @@ function EdgeDialog({ edge, onClose, onSave, onDelete, nodes, edges }) {
     .map((e) => (e.label || e.data?.label)?.toLowerCase());
 
   // Always show the currently selected label, even if already used
-  const baseOptions = ["true", "false"];
+  const baseOptions = getBranchLabels(sourceNode) || [];
   const conditionOptions = baseOptions.filter(
-    (opt) => !usedLabels.includes(opt) || opt === label?.toLowerCase()
+    (opt) =>
+      !usedLabels.includes(opt.toLowerCase()) ||
+      opt.toLowerCase() === label?.toLowerCase()
   );
 
   const validateLabel = (val) => {
@@ -91,9 +93,9 @@ function EdgeDialog({ edge, onClose, onSave, onDelete, nodes, edges }) {
           {sourceIsCondition ? (
             <>
               <p className="mb-2 text-sm text-gray-600">
-                Choose condition outcome:
+                Choose outgoing path:
               </p>
-              <div className="flex gap-3 mb-4">
+              <div className="flex flex-wrap gap-3 mb-4">
                 {conditionOptions.map((opt) => (
                   <button
                     key={opt}
@@ -104,13 +106,13 @@ function EdgeDialog({ edge, onClose, onSave, onDelete, nodes, edges }) {
                         : "bg-gray-200 text-gray-800 hover:bg-gray-300"
                     }`}
                   >
-                    {opt.charAt(0).toUpperCase() + opt.slice(1)}
+                    {opt}
                   </button>
                 ))}
               </div>
               {conditionOptions.length === 0 && (
                 <p className="text-sm text-red-500">
-                  Both "true" and "false" outcomes are already used.
+                  All paths are already used for this node.
                 </p>
               )}
             </>
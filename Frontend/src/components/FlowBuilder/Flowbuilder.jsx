@@ -11,6 +11,7 @@ import { validateFlow } from "./utils/FlowValidation";
 import {
   updateProjectFlow,
   getProjectById,
+  getDeliveryStats,
 } from "../../services/projectService";
 
 import {
@@ -28,7 +29,10 @@ function FlowBuilder() {
   const [projectName, setProjectName] = useState("");
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
+  const [deliveryStats, setDeliveryStats] = useState([]);
   const [currProject, setCurrProject] = useState(null);
+  // Viewers can open the builder but not change the flow
+  const readOnly = currProject?.role === "viewer";
 
   const onReset = useCallback(() => {
     setNodes([]);
@@ -108,6 +112,9 @@ function FlowBuilder() {
       }
     };
     fetchProjectFlow();
+    getDeliveryStats(projectId)
+      .then(setDeliveryStats)
+      .catch((error) => console.error(error));
   }, [projectId]);
 
   const saveFlow = async () => {
@@ -125,7 +132,11 @@ function FlowBuilder() {
 
   return (
     <>
-      <ProjectNavbar project={currProject} initialName={projectName} />
+      <ProjectNavbar
+        project={currProject}
+        initialName={projectName}
+        readOnly={readOnly}
+      />
       <div className="relative h-screen w-full bg-gray-100 overflow-x-hidden">
         <ToastContainer
           position="top-center"
@@ -133,7 +144,7 @@ function FlowBuilder() {
           pauseOnHover={true}
         />
 
-        <FlowBuilderLeftSidebar onAddNode={onAddNode} />
+        {!readOnly && <FlowBuilderLeftSidebar onAddNode={onAddNode} />}
 
         <div
           ref={reactFlowWrapper}
@@ -151,11 +162,15 @@ function FlowBuilder() {
               setNodes={setNodes}
               edges={edges}
               setEdges={setEdges}
+              deliveryStats={deliveryStats}
+              readOnly={readOnly}
             />
           </VariableProvider>
         </div>
 
-        <FlowBuilderRightSidebar onReset={onReset} onSave={saveFlow} />
+        {!readOnly && (
+          <FlowBuilderRightSidebar onReset={onReset} onSave={saveFlow} />
+        )}
       </div>
     </>
   );
@@ -14,11 +14,32 @@ import BaseNodeDialog from "../Nodes/Nodedialog";
 import EdgeDialog from "../Edges/Edgedialog";
 import { X } from "lucide-react";
 import { useVariableContext } from "../../context/Variable.context";
+import {
+  getBranchLabels,
+  DELIVERY_FAILED_LABEL,
+  DELIVERY_TRACKED_NODE_TYPES,
+} from "../Nodes/Node-config";
 const edgeTypes = {
   testingEdge: CustomEdge,
 };
 
-function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
+// Adds the delivery-failed label to a message-sending node's edge choices
+function withDeliveryOption(sourceNode, options, usedLabels) {
+  const used = usedLabels.map((label) => label?.toLowerCase());
+  return DELIVERY_TRACKED_NODE_TYPES.includes(sourceNode?.type) &&
+    !used.includes(DELIVERY_FAILED_LABEL.toLowerCase())
+    ? [...options, DELIVERY_FAILED_LABEL]
+    : options;
+}
+
+function FlowCanvas({
+  nodes,
+  setNodes,
+  edges,
+  setEdges,
+  deliveryStats = [],
+  readOnly = false,
+}) {
   const [selectedNode, setSelectedNode] = useState(null);
   const [selectedEdge, setSelectedEdge] = useState(null);
   const [pendingConnection, setPendingConnection] = useState(null);
@@ -60,7 +81,24 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
           .filter((e) => e.source === params.source)
           .map((e) => (e.label || e.data?.label)?.toLowerCase());
 
-        const availableOptions = buttonLabels.filter(
+        const availableOptions = withDeliveryOption(
+          sourceNode,
+          buttonLabels.filter(
+            (label) => !usedLabels.includes(label.toLowerCase())
+          ),
+          usedLabels
+        );
+
+        setLabelChoice(availableOptions[0] || "");
+        setAvailableLabels(availableOptions);
+        setPendingConnection(params);
+        setShowLabelPrompt(true);
+      } else if (getBranchLabels(sourceNode)) {
+        const usedLabels = edges
+          .filter((e) => e.source === params.source)
+          .map((e) => (e.label || e.data?.label)?.toLowerCase());
+
+        const availableOptions = getBranchLabels(sourceNode).filter(
           (label) => !usedLabels.includes(label.toLowerCase())
         );
 
@@ -71,14 +109,18 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
       } else if (
         sourceNode?.type === "askaQuestion" ||
         sourceNode?.type === "apiCall" ||
-        sourceNode?.type === "keywordMatch"
+        sourceNode?.type === "keywordMatch" ||
+        sourceNode?.type === "media" ||
+        sourceNode?.type === "template"
       ) {
         const usedLabels = edges
           .filter((e) => e.source === params.source)
           .map((e) => e.label || e.data?.label);
 
-        const availableOptions = ["Success", "Failure"].filter(
-          (opt) => !usedLabels.includes(opt)
+        const availableOptions = withDeliveryOption(
+          sourceNode,
+          ["Success", "Failure"].filter((opt) => !usedLabels.includes(opt)),
+          usedLabels
         );
 
         setLabelChoice(availableOptions[0] || "Success");
@@ -86,7 +128,21 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
         setPendingConnection(params);
         setShowLabelPrompt(true);
       } else {
-        setEdges((eds) => addEdge({ ...params, type: "testingEdge" }, eds));
+        const usedLabels = edges
+          .filter((e) => e.source === params.source)
+          .map((e) => e.label || e.data?.label || "");
+        const deliveryOptions = withDeliveryOption(sourceNode, [], usedLabels);
+
+        // The first connection is the normal path; a second one can only be
+        // the delivery-failed path
+        if (usedLabels.length > 0 && deliveryOptions.length > 0) {
+          setLabelChoice(deliveryOptions[0]);
+          setAvailableLabels(deliveryOptions);
+          setPendingConnection(params);
+          setShowLabelPrompt(true);
+        } else {
+          setEdges((eds) => addEdge({ ...params, type: "testingEdge" }, eds));
+        }
       }
     },
     [nodes, edges, setEdges]
@@ -119,6 +175,7 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
 
   const handleEdgeClick = (event, edge) => {
     event.preventDefault();
+    if (readOnly) return;
     setSelectedEdge(edge);
   };
 
@@ -145,8 +202,10 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
 
   const handleSaveNode = (updatedNode) => {
     const oldNode = nodes.find((node) => node.id === updatedNode.id);
-    const oldButtons = oldNode?.data?.properties?.buttons || [];
-    const newButtons = updatedNode?.data?.properties?.buttons || [];
+    const getLabels = (node) =>
+      getBranchLabels(node) || node?.data?.properties?.buttons || [];
+    const oldButtons = getLabels(oldNode);
+    const newButtons = getLabels(updatedNode);
 
     const removedButtons = oldButtons.filter(
       (btn) => !newButtons.includes(btn)
@@ -183,6 +242,11 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
   useEffect(() => {
     syncVariablesFromNodes(nodes);
   }, [nodes]);
+
+  const deliveryStatsByNode = Object.fromEntries(
+    deliveryStats.map((row) => [row.nodeId, row])
+  );
+
   return (
     <div className="h-[100vh] w-[90vw] bg-slate-300 relative">
       <ReactFlow
@@ -191,6 +255,7 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
           data: {
             ...node.data,
             isSelected: selectedNode?.id === node.id,
+            deliveryFailures: deliveryStatsByNode[node.id]?.failed || 0,
           },
         }))}
         nodeTypes={nodeTypes}
@@ -201,6 +266,9 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
         onConnect={onConnect}
         onNodeClick={handleNodeClick}
         onEdgeClick={handleEdgeClick}
+        nodesDraggable={!readOnly}
+        nodesConnectable={!readOnly}
+        deleteKeyCode={readOnly ? null : "Backspace"}
         fitView
       >
         <Background color="#000" gap="15" />
@@ -210,6 +278,9 @@ function FlowCanvas({ nodes, setNodes, edges, setEdges }) {
       {selectedNode && (
         <BaseNodeDialog
           node={selectedNode}
+          nodes={nodes}
+          deliveryStats={deliveryStatsByNode[selectedNode.id]}
+          readOnly={readOnly}
           onClose={handleCloseNodeDialog}
           onDelete={handleDeleteNode}
           onSave={handleSaveNode}
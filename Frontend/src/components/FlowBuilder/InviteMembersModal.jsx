@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { X } from "lucide-react";
+import {
+  getProjectInvitations,
+  inviteToProject,
+  revokeInvitation,
+} from "../../services/invitationService";
+
+const ROLES = ["editor", "viewer", "owner"];
+
+export default function InviteMembersModal({ projectId, onClose }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [invitations, setInvitations] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    getProjectInvitations(projectId)
+      .then(setInvitations)
+      .catch((err) => toast.error(err.message));
+  }, [projectId]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    setSending(true);
+    try {
+      const invitation = await inviteToProject(projectId, { email, role });
+      // Re-inviting an address refreshes its pending invitation
+      setInvitations((prev) => [
+        invitation,
+        ...prev.filter((i) => i._id !== invitation._id),
+      ]);
+      setEmail("");
+      toast.success(`Invitation sent to ${invitation.email}`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    try {
+      await revokeInvitation(projectId, invitationId);
+      setInvitations((prev) => prev.filter((i) => i._id !== invitationId));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/30"
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded-lg shadow-lg w-[450px] relative"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-700"
+        >
+          <X size={18} />
+        </button>
+        <h2 className="text-lg font-bold mb-4">Invite members</h2>
+
+        <form onSubmit={handleInvite} className="flex space-x-2 mb-4">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@example.com"
+            required
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-2 py-2 border border-gray-300 rounded-md capitalize"
+          >
+            {ROLES.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={sending}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md disabled:opacity-50"
+          >
+            {sending ? "Sending..." : "Invite"}
+          </button>
+        </form>
+
+        <h3 className="text-sm font-medium mb-2">Pending invitations</h3>
+        {invitations.length === 0 ? (
+          <p className="text-sm text-gray-500">No pending invitations.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {invitations.map((invitation) => (
+              <li
+                key={invitation._id}
+                className="flex items-center justify-between py-2 text-sm"
+              >
+                <span>
+                  {invitation.email}{" "}
+                  <span className="text-gray-500">· {invitation.role}</span>
+                </span>
+                <span className="flex items-center space-x-3">
+                  <span className="text-xs text-gray-500">
+                    expires{" "}
+                    {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </span>
+                  <button
+                    onClick={() => handleRevoke(invitation._id)}
+                    className="text-red-500 hover:underline"
+                  >
+                    Revoke
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
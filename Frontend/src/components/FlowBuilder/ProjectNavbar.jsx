@@ -1,15 +1,25 @@
-import { ArrowLeft, Edit, Check, X, Calculator } from "lucide-react";
+import {
+  ArrowLeft,
+  Edit,
+  Check,
+  X,
+  Calculator,
+  Inbox,
+  UserPlus,
+} from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { updateProjectName } from "../../services/projectService";
 import { useUser } from "../../context/User.context";
 import { toast } from "react-toastify";
 import React, { useState, useEffect } from "react";
+import InviteMembersModal from "./InviteMembersModal";
 
-export default function ProjectNavbar({ project, initialName }) {
+export default function ProjectNavbar({ project, initialName, readOnly }) {
   const navigate = useNavigate();
   const [isEditing, setIsEditing] = useState(false);
   const [projectName, setProjectName] = useState(initialName);
   const [tempName, setTempName] = useState(initialName);
+  const [showInvite, setShowInvite] = useState(false);
 
   // ✅ Update name when `initialName` prop changes (e.g., after fetching from backend)
   useEffect(() => {
@@ -85,19 +95,49 @@ export default function ProjectNavbar({ project, initialName }) {
             <h1 className="text-xl font-semibold text-gray-800 dark:text-white">
               {projectName}
             </h1>
-            <button
-              onClick={() => setIsEditing(true)}
-              className="text-blue-500 hover:text-blue-700"
-            >
-              <Edit size={18} />
-            </button>
+            {readOnly ? (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-200 text-gray-600">
+                View only
+              </span>
+            ) : (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="text-blue-500 hover:text-blue-700"
+              >
+                <Edit size={18} />
+              </button>
+            )}
           </div>
         )}
       </div>
 
-      <div className="w-8 h-8 rounded-full bg-gray-300 dark:bg-zinc-600">
-        <img src="https://avatar.iran.liara.run/public/boy" />
+      <div className="flex items-center space-x-4">
+        {project?.role === "owner" && (
+          <button
+            onClick={() => setShowInvite(true)}
+            className="flex items-center text-gray-600 hover:text-black dark:text-gray-300 dark:hover:text-white"
+          >
+            <UserPlus className="w-5 h-5 mr-1" /> Invite
+          </button>
+        )}
+        {project?._id && (
+          <button
+            onClick={() => navigate(`/projects/${project._id}/inbox`)}
+            className="flex items-center text-gray-600 hover:text-black dark:text-gray-300 dark:hover:text-white"
+          >
+            <Inbox className="w-5 h-5 mr-1" /> Inbox
+          </button>
+        )}
+        <div className="w-8 h-8 rounded-full bg-gray-300 dark:bg-zinc-600">
+          <img src="https://avatar.iran.liara.run/public/boy" />
+        </div>
       </div>
+      {showInvite && (
+        <InviteMembersModal
+          projectId={project._id}
+          onClose={() => setShowInvite(false)}
+        />
+      )}
     </nav>
   );
 }
@@ -1,3 +1,9 @@
+import {
+  DEFAULT_CONDITION_LABEL,
+  DELIVERY_FAILED_LABEL,
+  DELIVERY_TRACKED_NODE_TYPES,
+} from "../../Nodes/Node-config";
+
 /**
  * Validates a React Flow graph based on a set of rules.
  *
@@ -37,6 +43,40 @@ export function validateFlow(nodes, edges) {
     }
   }
 
+  // A Go To node counts as an incoming connection of its target, and so
+  // does a Handoff node of the node it resumes at
+  for (const node of nodes) {
+    const targetNodeId =
+      (node.type === "goto" && node.data?.properties?.targetNodeId) ||
+      (node.type === "handoff" && node.data?.properties?.resumeNodeId);
+    if (targetNodeId && nodeConnections.has(targetNodeId)) {
+      nodeConnections.get(targetNodeId).in += 1;
+      nodeConnections.get(node.id).out += 1;
+    }
+  }
+
+  // The timeout job reaches the start node's timeout branch
+  const timeoutBranchId = nodes.find((n) => n.type === "start")?.data
+    ?.properties?.timeoutNodeId;
+  if (timeoutBranchId && nodeConnections.has(timeoutBranchId)) {
+    nodeConnections.get(timeoutBranchId).in += 1;
+  }
+
+  // Only nodes that send a message can take a "Delivery Failed" edge
+  for (const edge of edges) {
+    const edgeLabel = (edge.label || edge.data?.label || "").toLowerCase();
+    if (edgeLabel !== DELIVERY_FAILED_LABEL.toLowerCase()) continue;
+
+    const source = nodes.find((n) => n.id === edge.source);
+    if (source && !DELIVERY_TRACKED_NODE_TYPES.includes(source.type)) {
+      errors.push(
+        `Error: Node "${
+          source.data?.label || source.id
+        }" does not send a message, so it cannot have a "${DELIVERY_FAILED_LABEL}" connection.`
+      );
+    }
+  }
+
   // Iterate over each node to check its specific rules
   for (const node of nodes) {
     const connections = nodeConnections.get(node.id);
@@ -81,6 +121,13 @@ export function validateFlow(nodes, edges) {
       keywordMatch: ["keywords"],
       apiCall: ["requestName", "url"],
       askaQuestion: ["question", "propertyName"],
+      condition: ["conditions"],
+      setVariable: ["assignments"],
+      random: ["branches"],
+      goto: ["targetNodeId"],
+      handoff: [],
+      media: ["mediaType", "mediaUrl"],
+      template: ["templateId"],
       end: [],
     };
     const nodeType = node.type;
@@ -114,22 +161,98 @@ export function validateFlow(nodes, edges) {
     // Node-specific validation
     switch (node.type) {
       case "condition": {
+        const conditions = node.data?.properties?.conditions || [];
         const outgoingEdges = edges.filter((e) => e.source === node.id);
         const labels = new Set(
           outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
         );
-        if (!labels.has("true")) {
+        const seenLabels = new Set();
+
+        for (const [index, group] of conditions.entries()) {
+          const groupLabel = group?.label?.trim();
+          if (!groupLabel) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has a rule set without a label (rule set ${index + 1}).`
+            );
+            continue;
+          }
+          // The Default path is taken when no rule set matches
+          if (
+            groupLabel.toLowerCase() === DEFAULT_CONDITION_LABEL.toLowerCase()
+          ) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has a rule set labelled "${groupLabel}", which is reserved for the fallback path.`
+            );
+          } else if (seenLabels.has(groupLabel.toLowerCase())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has more than one rule set labelled "${groupLabel}".`
+            );
+          }
+          seenLabels.add(groupLabel.toLowerCase());
+
+          if (!(group.rules || []).some((rule) => rule?.variable?.trim())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" has no rules in the "${groupLabel}" rule set.`
+            );
+          }
+          if (!labels.has(groupLabel.toLowerCase())) {
+            errors.push(
+              `Error: Condition node "${
+                node.data.label || node.id
+              }" is missing an outgoing connection for the "${groupLabel}" path.`
+            );
+          }
+        }
+        if (!labels.has("default")) {
           errors.push(
             `Error: Condition node "${
               node.data.label || node.id
-            }" is missing an outgoing 'true' path.`
+            }" is missing an outgoing 'Default' path.`
           );
         }
-        if (!labels.has("false")) {
+        break;
+      }
+      case "random": {
+        const branches = node.data?.properties?.branches || [];
+        const outgoingEdges = edges.filter((e) => e.source === node.id);
+        const labels = new Set(
+          outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
+        );
+
+        let totalWeight = 0;
+        for (const branch of branches) {
+          const branchLabel = branch?.label?.trim();
+          const weight = Number(branch?.weight);
+          if (!branchLabel || Number.isNaN(weight) || weight < 0) {
+            errors.push(
+              `Error: Split node "${
+                node.data.label || node.id
+              }" has a branch without a label or with an invalid weight.`
+            );
+            continue;
+          }
+          totalWeight += weight;
+          if (weight > 0 && !labels.has(branchLabel.toLowerCase())) {
+            errors.push(
+              `Error: Split node "${
+                node.data.label || node.id
+              }" is missing an outgoing connection for the "${branchLabel}" branch.`
+            );
+          }
+        }
+        if (totalWeight <= 0) {
           errors.push(
-            `Error: Condition node "${
+            `Error: Split node "${
               node.data.label || node.id
-            }" is missing an outgoing 'false' path.`
+            }" needs at least one branch with a weight above 0.`
           );
         }
         break;
@@ -149,7 +272,24 @@ export function validateFlow(nodes, edges) {
           outgoingEdges.map((e) => (e.label || e.data?.label)?.toLowerCase())
         );
 
+        // Up to 3 options are reply buttons (20 chars), more become list rows (24 chars)
+        const maxTitleLength = definedButtons.length > 3 ? 24 : 20;
+        if (definedButtons.length > 10) {
+          errors.push(
+            `Error: Buttons node "${
+              node.data.label || node.id
+            }" has more than 10 options. WhatsApp lists allow at most 10 rows.`
+          );
+        }
+
         for (const buttonLabel of definedButtons) {
+          if (buttonLabel.length > maxTitleLength) {
+            errors.push(
+              `Error: Buttons node "${
+                node.data.label || node.id
+              }" option "${buttonLabel}" is longer than ${maxTitleLength} characters.`
+            );
+          }
           if (!edgeLabels.has(buttonLabel.toLowerCase())) {
             errors.push(
               `Error: Buttons node "${
@@ -161,6 +301,47 @@ export function validateFlow(nodes, edges) {
         break;
       }
       // You can add cases for other node types, e.g., an 'end' node must not have outgoing connections.
+      case "goto": {
+        const targetNodeId = node.data?.properties?.targetNodeId;
+        if (edges.some((e) => e.source === node.id)) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" cannot have outgoing connections.`
+          );
+        }
+        if (targetNodeId === node.id) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" cannot jump to itself.`
+          );
+        } else if (targetNodeId && !nodes.some((n) => n.id === targetNodeId)) {
+          errors.push(
+            `Error: Go To node "${
+              node.data.label || node.id
+            }" jumps to a node that no longer exists.`
+          );
+        }
+        break;
+      }
+      case "handoff": {
+        const resumeNodeId = node.data?.properties?.resumeNodeId;
+        if (resumeNodeId === node.id) {
+          errors.push(
+            `Error: Handoff node "${
+              node.data.label || node.id
+            }" cannot resume at itself.`
+          );
+        } else if (resumeNodeId && !nodes.some((n) => n.id === resumeNodeId)) {
+          errors.push(
+            `Error: Handoff node "${
+              node.data.label || node.id
+            }" resumes at a node that no longer exists.`
+          );
+        }
+        break;
+      }
       case "end":
         if (connections.out > 0) {
           errors.push(
@@ -170,7 +351,7 @@ export function validateFlow(nodes, edges) {
           );
         }
         break;
-      case "start":
+      case "start": {
         if (connections.in > 0) {
           errors.push(
             `Error: Start Node "${
@@ -178,7 +359,34 @@ export function validateFlow(nodes, edges) {
             }" cannot have incoming connections.`
           );
         }
+        const { sessionTimeoutMinutes, timeoutNodeId } =
+          node.data?.properties || {};
+        if (
+          sessionTimeoutMinutes !== undefined &&
+          sessionTimeoutMinutes !== "" &&
+          !(Number(sessionTimeoutMinutes) > 0)
+        ) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" needs a session timeout of more than 0 minutes.`
+          );
+        }
+        if (timeoutNodeId === node.id) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" cannot be its own timeout branch.`
+          );
+        } else if (timeoutNodeId && !nodes.some((n) => n.id === timeoutNodeId)) {
+          errors.push(
+            `Error: Start Node "${
+              node.data.label || node.id
+            }" has a timeout branch that no longer exists.`
+          );
+        }
         break;
+      }
       default:
         break;
     }
@@ -190,14 +398,37 @@ export function validateFlow(nodes, edges) {
     errors.push("Error: Multiple end nodes detected. Only one is allowed.");
   }
 
+  // Loops are allowed when they pass through a node that waits for the user,
+  // or a handoff, which waits for an agent; execution stops there. A Go To
+  // node continues at its target right away, so it does not break a loop.
+  function breaksLoop(node) {
+    return (
+      node.type === "handoff" ||
+      node.type === "buttons" ||
+      node.type === "askaQuestion" ||
+      node.data?.properties?.waitForUserReply === true
+    );
+  }
+
   // Cycle detection (DFS)
   function hasCycle() {
     const visited = new Set();
     const recStack = new Set();
     const adj = {};
-    nodes.forEach((node) => (adj[node.id] = []));
+    nodes
+      .filter((node) => !breaksLoop(node))
+      .forEach((node) => (adj[node.id] = []));
     edges.forEach((edge) => {
-      if (adj[edge.source]) adj[edge.source].push(edge.target);
+      if (adj[edge.source] && adj[edge.target]) {
+        adj[edge.source].push(edge.target);
+      }
+    });
+    // A jump is an edge to its target
+    nodes.forEach((node) => {
+      const targetNodeId = node.data?.properties?.targetNodeId;
+      if (node.type === "goto" && adj[node.id] && adj[targetNodeId]) {
+        adj[node.id].push(targetNodeId);
+      }
     });
     function dfs(nodeId) {
       if (!visited.has(nodeId)) {
@@ -211,10 +442,12 @@ export function validateFlow(nodes, edges) {
       recStack.delete(nodeId);
       return false;
     }
-    return nodes.some((node) => dfs(node.id));
+    return Object.keys(adj).some((nodeId) => dfs(nodeId));
   }
   if (hasCycle()) {
-    errors.push("Error: The flow contains a circular loop (cycle). Please remove cycles.");
+    errors.push(
+      "Error: The flow contains a circular loop (cycle). Loops, including Go To jumps, must pass through a node that waits for the user."
+    );
   }
 
   return {
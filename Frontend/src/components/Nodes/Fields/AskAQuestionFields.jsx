@@ -44,7 +44,18 @@ export function AskAQuestionFields({ formData, onChange, errors }) {
           onChange={(e) => onChange("validationType", e.target.value)}
           className="w-full px-3 py-2 border border-gray-300 rounded-md"
         >
-          {["none", "name", "email", "phone number", "URL"].map((option) => (
+          {[
+            "none",
+            "name",
+            "email",
+            "phone number",
+            "URL",
+            "image",
+            "video",
+            "audio",
+            "document",
+            "location",
+          ].map((option) => (
             <option key={option} value={option}>
               {option.charAt(0).toUpperCase() + option.slice(1)}
             </option>
@@ -52,6 +63,22 @@ export function AskAQuestionFields({ formData, onChange, errors }) {
         </select>
       </div>
 
+      {["image", "video", "audio", "document"].includes(
+        formData.validationType
+      ) && (
+        <p className="text-sm text-gray-600">
+          The media ID is saved in the property. Caption, file name, type and
+          the stored file link are saved as property_caption,
+          property_filename, property_mime_type and property_url.
+        </p>
+      )}
+      {formData.validationType === "location" && (
+        <p className="text-sm text-gray-600">
+          "latitude,longitude" is saved in the property, plus property_latitude,
+          property_longitude, property_name and property_address.
+        </p>
+      )}
+
       <div>
         <label className="text-sm font-medium block mb-1">
           Number of Repeats
@@ -21,7 +21,7 @@ export function ButtonsFields({ formData, onChange, errors }) {
           onChange={(newButtons) => onChange("buttons", newButtons)}
           newItemValue=""
           addButtonLabel="Add Button"
-          maxItems={3}
+          maxItems={10}
           minItems={1}
           placeholder="Button"
           renderItem={({
@@ -55,6 +55,30 @@ export function ButtonsFields({ formData, onChange, errors }) {
           <p className="text-red-500 text-sm mt-1">{errors.buttons}</p>
         )}
       </div>
+      {(formData.buttons || []).length > 3 && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            More than 3 options are sent as a WhatsApp list message (up to 10
+            rows).
+          </p>
+          <DefaultField
+            formData={formData}
+            onChange={onChange}
+            fieldKey="listButtonText"
+            label="List Button Text"
+            showVariableDropdown={false}
+            errors={errors}
+          />
+          <DefaultField
+            formData={formData}
+            onChange={onChange}
+            fieldKey="sectionTitle"
+            label="Section Title"
+            showVariableDropdown={false}
+            errors={errors}
+          />
+        </>
+      )}
       <BooleanField
         formData={formData}
         onChange={onChange}
@@ -0,0 +1,199 @@
+// components/fields/ConditionFields.jsx
+import { Plus, X } from "lucide-react";
+import { BooleanField } from "./BooleanField";
+import VariableInsertDropdown from "./VariableDropDownField";
+import { useVariableContext } from "../../../context/Variable.context";
+import {
+  CONDITION_OPERATORS,
+  UNARY_CONDITION_OPERATORS,
+  DEFAULT_CONDITION_LABEL,
+} from "../Node-config";
+
+const newRule = () => ({ variable: "", operator: "equals", value: "" });
+
+const newRuleSet = () => ({ label: "", match: "all", rules: [newRule()] });
+
+export function ConditionFields({ formData, onChange, errors }) {
+  const { variables } = useVariableContext();
+  const conditions = formData.conditions || [];
+
+  const updateRuleSet = (index, patch) => {
+    onChange(
+      "conditions",
+      conditions.map((group, i) => (i === index ? { ...group, ...patch } : group))
+    );
+  };
+
+  const removeRuleSet = (index) => {
+    if (conditions.length <= 1) return;
+    onChange(
+      "conditions",
+      conditions.filter((_, i) => i !== index)
+    );
+  };
+
+  const updateRule = (groupIndex, ruleIndex, patch) => {
+    const rules = conditions[groupIndex].rules.map((rule, i) =>
+      i === ruleIndex ? { ...rule, ...patch } : rule
+    );
+    updateRuleSet(groupIndex, { rules });
+  };
+
+  const removeRule = (groupIndex, ruleIndex) => {
+    const rules = conditions[groupIndex].rules;
+    if (rules.length <= 1) return;
+    updateRuleSet(groupIndex, {
+      rules: rules.filter((_, i) => i !== ruleIndex),
+    });
+  };
+
+  return (
+    <>
+      <p className="text-sm text-gray-600 mb-3">
+        Rule sets are checked from top to bottom. The first one that matches
+        picks the outgoing path with the same label; otherwise the flow follows
+        the "{DEFAULT_CONDITION_LABEL}" path.
+      </p>
+
+      <datalist id="condition-variables">
+        {variables.map((v) => (
+          <option key={v} value={v} />
+        ))}
+      </datalist>
+
+      <div className="space-y-4 mb-4">
+        {conditions.map((group, groupIndex) => (
+          <div
+            key={groupIndex}
+            className="border border-gray-300 rounded-md p-3 bg-gray-50"
+          >
+            <div className="flex items-center gap-2 mb-3">
+              <input
+                type="text"
+                value={group.label || ""}
+                onChange={(e) =>
+                  updateRuleSet(groupIndex, { label: e.target.value })
+                }
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                placeholder={`Path label ${groupIndex + 1}`}
+              />
+              <select
+                value={group.match || "all"}
+                onChange={(e) =>
+                  updateRuleSet(groupIndex, { match: e.target.value })
+                }
+                className="px-2 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="all">All rules (AND)</option>
+                <option value="any">Any rule (OR)</option>
+              </select>
+              <button
+                onClick={() => removeRuleSet(groupIndex)}
+                className="text-red-500 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={conditions.length <= 1}
+                title="Remove Rule Set"
+              >
+                <X />
+              </button>
+            </div>
+
+            <div className="space-y-2">
+              {(group.rules || []).map((rule, ruleIndex) => (
+                <div key={ruleIndex} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    list="condition-variables"
+                    value={rule.variable || ""}
+                    onChange={(e) =>
+                      updateRule(groupIndex, ruleIndex, {
+                        variable: e.target.value,
+                      })
+                    }
+                    className="w-1/3 px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Variable"
+                  />
+                  <select
+                    value={rule.operator || "equals"}
+                    onChange={(e) =>
+                      updateRule(groupIndex, ruleIndex, {
+                        operator: e.target.value,
+                      })
+                    }
+                    className="w-1/3 px-2 py-2 border border-gray-300 rounded-md"
+                  >
+                    {Object.entries(CONDITION_OPERATORS).map(
+                      ([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      )
+                    )}
+                  </select>
+                  {!UNARY_CONDITION_OPERATORS.includes(rule.operator) && (
+                    <div className="w-1/3 flex items-center border border-gray-300 rounded-md bg-white">
+                      <input
+                        type="text"
+                        value={rule.value ?? ""}
+                        onChange={(e) =>
+                          updateRule(groupIndex, ruleIndex, {
+                            value: e.target.value,
+                          })
+                        }
+                        className="w-full px-3 py-2 bg-transparent outline-none"
+                        placeholder="Value"
+                      />
+                      <VariableInsertDropdown
+                        onInsert={(variable) =>
+                          updateRule(groupIndex, ruleIndex, {
+                            value: (rule.value || "") + variable,
+                          })
+                        }
+                      />
+                    </div>
+                  )}
+                  <button
+                    onClick={() => removeRule(groupIndex, ruleIndex)}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={(group.rules || []).length <= 1}
+                    title="Remove Rule"
+                  >
+                    <X />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={() =>
+                updateRuleSet(groupIndex, {
+                  rules: [...(group.rules || []), newRule()],
+                })
+              }
+              className="mt-2 text-sm text-blue-600 hover:text-blue-400 flex items-center"
+            >
+              <Plus className="mr-1 h-4 w-4" /> Add Rule
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onChange("conditions", [...conditions, newRuleSet()])}
+        className="mb-4 text-sm text-blue-600 hover:text-blue-400 flex items-center"
+      >
+        <Plus className="mr-1 h-4 w-4" /> Add Rule Set
+      </button>
+
+      {errors?.conditions && (
+        <p className="text-red-500 text-sm mt-1">{errors.conditions}</p>
+      )}
+
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="waitForUserReply"
+        label="Wait for user reply"
+      />
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+// components/fields/GotoFields.jsx
+import { describeNode } from "../Node-config";
+
+export function GotoFields({ nodeId, nodes = [], formData, onChange, errors }) {
+  const targets = nodes.filter((n) => n.id !== nodeId && n.type !== "goto");
+
+  return (
+    <div className="mb-4">
+      <label className="text-sm font-medium block mb-1">
+        Jump to node <span className="text-red-500 ml-1">*</span>
+      </label>
+      <select
+        value={formData.targetNodeId || ""}
+        onChange={(e) => onChange("targetNodeId", e.target.value)}
+        className={`w-full px-3 py-2 border border-gray-300 rounded-md ${
+          errors?.targetNodeId ? "border-red-500" : ""
+        }`}
+      >
+        <option value="">Select a node</option>
+        {targets.map((node) => (
+          <option key={node.id} value={node.id}>
+            {describeNode(node)}
+          </option>
+        ))}
+      </select>
+      {errors?.targetNodeId && (
+        <p className="text-red-500 text-sm mt-1">{errors.targetNodeId}</p>
+      )}
+      <p className="text-sm text-gray-600 mt-2">
+        The flow continues at the selected node. A loop back through this jump
+        must pass through a node that waits for the user.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+// components/fields/HandoffFields.jsx
+import { DefaultField } from "./DefaultField";
+import { BooleanField } from "./BooleanField";
+import { describeNode } from "../Node-config";
+
+export function HandoffFields({
+  nodeId,
+  nodes = [],
+  formData,
+  onChange,
+  errors,
+}) {
+  const targets = nodes.filter((n) => n.id !== nodeId);
+
+  return (
+    <>
+      <p className="text-sm text-gray-600 mb-3">
+        Hands the contact to a person. The flow stays silent and keeps incoming
+        messages for the agent until a project member releases the
+        conversation.
+      </p>
+      <DefaultField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="message"
+        label="Message to contact"
+        errors={errors}
+      />
+      <DefaultField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="reason"
+        label="Reason shown to agents"
+        showVariableDropdown={false}
+        errors={errors}
+      />
+      <div className="mb-4">
+        <label className="text-sm font-medium block mb-1">
+          Resume at after release
+        </label>
+        <select
+          value={formData.resumeNodeId || ""}
+          onChange={(e) => onChange("resumeNodeId", e.target.value)}
+          className={`w-full px-3 py-2 border border-gray-300 rounded-md ${
+            errors?.resumeNodeId ? "border-red-500" : ""
+          }`}
+        >
+          <option value="">Follow the outgoing connection</option>
+          {targets.map((node) => (
+            <option key={node.id} value={node.id}>
+              {describeNode(node)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="notifyMembers"
+        label="Email project members"
+      />
+    </>
+  );
+}
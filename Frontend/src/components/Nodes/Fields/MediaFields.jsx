@@ -0,0 +1,66 @@
+// src/components/fields/MediaFields.jsx
+import React from "react";
+import { DefaultField } from "./DefaultField";
+import { BooleanField } from "./BooleanField";
+import { MEDIA_TYPES } from "../Node-config";
+
+export function MediaFields({ formData, onChange, errors }) {
+  const mediaType = formData.mediaType || "image";
+
+  return (
+    <>
+      <div className="mb-4">
+        <label className="text-sm font-medium block mb-1">
+          Media Type <span className="text-red-500 ml-1">*</span>
+        </label>
+        <select
+          value={mediaType}
+          onChange={(e) => onChange("mediaType", e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        >
+          {Object.entries(MEDIA_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <DefaultField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="mediaUrl"
+        label="Media URL or Variable"
+        errors={errors}
+        required={true}
+      />
+      {["image", "video", "document"].includes(mediaType) && (
+        <DefaultField
+          formData={formData}
+          onChange={onChange}
+          fieldKey="caption"
+          label="Caption"
+          errors={errors}
+        />
+      )}
+      {mediaType === "document" && (
+        <DefaultField
+          formData={formData}
+          onChange={onChange}
+          fieldKey="filename"
+          label="File Name"
+          errors={errors}
+        />
+      )}
+      <p className="text-sm text-gray-600 mb-3">
+        Connect a "Success" edge for the next step and a "Failure" edge for
+        when WhatsApp rejects the media.
+      </p>
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="waitForUserReply"
+        label="Wait for user reply"
+      />
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+// components/fields/RandomSplitFields.jsx
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { X } from "lucide-react";
+import { ArrayInput } from "./ArrayInput";
+import { BooleanField } from "./BooleanField";
+import { getSplitTestStats } from "../../../services/projectService";
+
+export function RandomSplitFields({ nodeId, formData, onChange, errors }) {
+  const { id: projectId } = useParams();
+  const [stats, setStats] = useState([]);
+  const branches = formData.branches || [];
+
+  const totalWeight = branches.reduce(
+    (sum, branch) => sum + (Number(branch.weight) || 0),
+    0
+  );
+
+  useEffect(() => {
+    if (!projectId || !nodeId) return;
+    getSplitTestStats(projectId)
+      .then((rows) => setStats(rows.filter((row) => row.nodeId === nodeId)))
+      .catch((err) => console.error(err));
+  }, [projectId, nodeId]);
+
+  return (
+    <>
+      <p className="text-sm text-gray-600 mb-3">
+        Each new contact is sent down one branch, picked by weight, and stays
+        on it for the next visits. Connect one outgoing edge per branch label.
+      </p>
+      <div className="mb-4">
+        <ArrayInput
+          label="Branches"
+          items={branches}
+          onChange={(newBranches) => onChange("branches", newBranches)}
+          newItemValue={{ label: "", weight: 0 }}
+          addButtonLabel="Add Branch"
+          maxItems={10}
+          minItems={2}
+          placeholder="Branch"
+          renderItem={({
+            item,
+            index,
+            onChange,
+            onRemove,
+            isRemoveDisabled,
+            placeholder,
+          }) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={item.label || ""}
+                onChange={(e) => onChange({ ...item, label: e.target.value })}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                placeholder={placeholder}
+              />
+              <input
+                type="number"
+                min="0"
+                value={item.weight ?? 0}
+                onChange={(e) => onChange({ ...item, weight: e.target.value })}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <span className="w-12 text-sm text-gray-500 text-right">
+                {totalWeight > 0
+                  ? `${Math.round(((Number(item.weight) || 0) / totalWeight) * 100)}%`
+                  : "0%"}
+              </span>
+              <button
+                onClick={onRemove}
+                className="text-red-500 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isRemoveDisabled}
+                title="Remove Branch"
+              >
+                <X />
+              </button>
+            </div>
+          )}
+        />
+        {errors?.branches && (
+          <p className="text-red-500 text-sm mt-1">{errors.branches}</p>
+        )}
+      </div>
+
+      {stats.length > 0 && (
+        <div className="mb-4">
+          <label className="text-sm font-medium block mb-2">Results</label>
+          <table className="w-full text-sm border border-gray-300">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-2 py-1 text-left">Branch</th>
+                <th className="px-2 py-1 text-right">Contacts</th>
+                <th className="px-2 py-1 text-right">Completed</th>
+                <th className="px-2 py-1 text-right">Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map((row) => (
+                <tr key={row.branch} className="border-t border-gray-200">
+                  <td className="px-2 py-1">{row.branch}</td>
+                  <td className="px-2 py-1 text-right">{row.assigned}</td>
+                  <td className="px-2 py-1 text-right">{row.completed}</td>
+                  <td className="px-2 py-1 text-right">
+                    {Math.round(row.completionRate * 100)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="waitForUserReply"
+        label="Wait for user reply"
+      />
+    </>
+  );
+}
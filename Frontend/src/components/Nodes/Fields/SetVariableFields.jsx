@@ -0,0 +1,139 @@
+// components/fields/SetVariableFields.jsx
+import { X } from "lucide-react";
+import { ArrayInput } from "./ArrayInput";
+import { BooleanField } from "./BooleanField";
+import VariableInsertDropdown from "./VariableDropDownField";
+import { useVariableContext } from "../../../context/Variable.context";
+import { VARIABLE_OPERATIONS, VARIABLE_VALUE_TYPES } from "../Node-config";
+
+export function SetVariableFields({ formData, onChange, errors }) {
+  const { variables } = useVariableContext();
+
+  return (
+    <>
+      <datalist id="set-variable-names">
+        {variables.map((v) => (
+          <option key={v} value={v} />
+        ))}
+      </datalist>
+
+      <div className="mb-4">
+        <ArrayInput
+          label="Assignments"
+          items={formData.assignments || []}
+          onChange={(newAssignments) => onChange("assignments", newAssignments)}
+          newItemValue={{
+            variable: "",
+            operation: "set",
+            valueType: "template",
+            value: "",
+          }}
+          addButtonLabel="Add Assignment"
+          minItems={1}
+          placeholder="Assignment"
+          renderItem={({ item, index, onChange, onRemove, isRemoveDisabled }) => (
+            <div
+              key={index}
+              className="border border-gray-300 rounded-md p-3 bg-gray-50 space-y-2"
+            >
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  list="set-variable-names"
+                  value={item.variable || ""}
+                  onChange={(e) =>
+                    onChange({ ...item, variable: e.target.value })
+                  }
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="Variable name, e.g. source"
+                />
+                <select
+                  value={item.operation || "set"}
+                  onChange={(e) =>
+                    onChange({ ...item, operation: e.target.value })
+                  }
+                  className="px-2 py-2 border border-gray-300 rounded-md"
+                >
+                  {Object.entries(VARIABLE_OPERATIONS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={onRemove}
+                  className="text-red-500 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={isRemoveDisabled}
+                  title="Remove Assignment"
+                >
+                  <X />
+                </button>
+              </div>
+
+              {item.operation !== "clear" && (
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={item.valueType || "template"}
+                    onChange={(e) =>
+                      onChange({ ...item, valueType: e.target.value })
+                    }
+                    className="px-2 py-2 border border-gray-300 rounded-md"
+                  >
+                    {Object.entries(VARIABLE_VALUE_TYPES).map(
+                      ([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      )
+                    )}
+                  </select>
+                  <div className="flex-1 flex items-center border border-gray-300 rounded-md bg-white">
+                    <input
+                      type="text"
+                      list={
+                        item.valueType === "variable"
+                          ? "set-variable-names"
+                          : undefined
+                      }
+                      value={item.value ?? ""}
+                      onChange={(e) =>
+                        onChange({ ...item, value: e.target.value })
+                      }
+                      className="w-full px-3 py-2 bg-transparent outline-none"
+                      placeholder={
+                        item.operation === "increment"
+                          ? "1"
+                          : item.valueType === "variable"
+                          ? "Variable to copy"
+                          : "Value, e.g. campaign_x"
+                      }
+                    />
+                    {(item.valueType || "template") === "template" && (
+                      <VariableInsertDropdown
+                        onInsert={(variable) =>
+                          onChange({
+                            ...item,
+                            value: (item.value || "") + variable,
+                          })
+                        }
+                      />
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        />
+        {errors?.assignments && (
+          <p className="text-red-500 text-sm mt-1">{errors.assignments}</p>
+        )}
+      </div>
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="waitForUserReply"
+        label="Wait for user reply"
+      />
+    </>
+  );
+}
@@ -2,9 +2,17 @@
 import React from "react";
 import { DefaultField } from "./DefaultField";
 import { BooleanField } from "./BooleanField";
-import { ArrayInput } from "./ArrayInput";
-import { X } from "lucide-react";
-export function StartFields({ formData, onChange, errors }) {
+import { describeNode } from "../Node-config";
+
+export function StartFields({
+  nodeId,
+  nodes = [],
+  formData,
+  onChange,
+  errors,
+}) {
+  const targets = nodes.filter((n) => n.id !== nodeId);
+
   return (
     <>
       <DefaultField
@@ -22,6 +30,41 @@ export function StartFields({ formData, onChange, errors }) {
         fieldKey="waitForUserReply"
         label="Wait for user reply"
       />
+      <div className="mb-4">
+        <label className="text-sm font-medium block mb-1">
+          Session timeout (minutes)
+        </label>
+        <input
+          type="number"
+          min="1"
+          value={formData.sessionTimeoutMinutes ?? ""}
+          onChange={(e) => onChange("sessionTimeoutMinutes", e.target.value)}
+          placeholder="60"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        />
+      </div>
+      <div className="mb-4">
+        <label className="text-sm font-medium block mb-1">
+          On timeout, run
+        </label>
+        <select
+          value={formData.timeoutNodeId || ""}
+          onChange={(e) => onChange("timeoutNodeId", e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">Nothing, start over on the next message</option>
+          {targets.map((node) => (
+            <option key={node.id} value={node.id}>
+              {describeNode(node)}
+            </option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-600 mt-2">
+          A contact who stops replying in the middle of the flow times out
+          after this many minutes. The selected node can, for example, ask
+          whether they are still there or close the conversation politely.
+        </p>
+      </div>
     </>
   );
 }
@@ -0,0 +1,380 @@
+// components/fields/TemplateFields.jsx
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { Trash2, X } from "lucide-react";
+import { ArrayInput } from "./ArrayInput";
+import { BooleanField } from "./BooleanField";
+import VariableInsertDropdown from "./VariableDropDownField";
+import {
+  createTemplate,
+  deleteTemplate,
+  getTemplates,
+} from "../../../services/projectService";
+
+const TEMPLATE_CATEGORIES = ["UTILITY", "MARKETING", "AUTHENTICATION"];
+const HEADER_FORMATS = ["NONE", "TEXT", "IMAGE", "VIDEO", "DOCUMENT"];
+const BUTTON_TYPES = {
+  QUICK_REPLY: "Quick Reply",
+  URL: "URL",
+  PHONE_NUMBER: "Phone Number",
+};
+
+const EMPTY_TEMPLATE = {
+  name: "",
+  language: "en_US",
+  category: "UTILITY",
+  header: { format: "NONE", text: "" },
+  body: "",
+  footer: "",
+  buttons: [],
+};
+
+// Highest {{n}} used in a text, mirroring the backend's countPlaceholders
+function countPlaceholders(text = "") {
+  const indexes = [...(text || "").matchAll(/{{\s*(\d+)\s*}}/g)].map((m) =>
+    Number(m[1])
+  );
+  return indexes.length ? Math.max(...indexes) : 0;
+}
+
+function ParamInput({ label, value, onChange }) {
+  return (
+    <div className="mb-2">
+      <label className="text-xs text-gray-600 block mb-1">{label}</label>
+      <div className="flex items-center rounded-md border border-gray-300 bg-white">
+        <input
+          type="text"
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+          className="h-9 w-full flex-grow bg-transparent px-3 outline-none"
+        />
+        <VariableInsertDropdown
+          onInsert={(variable) => onChange((value || "") + variable)}
+        />
+      </div>
+    </div>
+  );
+}
+
+function NewTemplateForm({ projectId, onCreated, onCancel }) {
+  const [draft, setDraft] = useState(EMPTY_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+
+  const update = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    if (!draft.name.trim() || !draft.body.trim()) {
+      toast.error("Template name and body are required.");
+      return;
+    }
+    setSaving(true);
+    try {
+      const template = await createTemplate(projectId, draft);
+      toast.success("Template saved");
+      onCreated(template);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 border border-gray-300 rounded-md bg-gray-50">
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => update("name", e.target.value)}
+          placeholder="order_update"
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <input
+          type="text"
+          value={draft.language}
+          onChange={(e) => update("language", e.target.value)}
+          placeholder="en_US"
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <select
+          value={draft.category}
+          onChange={(e) => update("category", e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          {TEMPLATE_CATEGORIES.map((category) => (
+            <option key={category} value={category}>
+              {category}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.header.format}
+          onChange={(e) =>
+            update("header", { ...draft.header, format: e.target.value })
+          }
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          {HEADER_FORMATS.map((format) => (
+            <option key={format} value={format}>
+              Header: {format}
+            </option>
+          ))}
+        </select>
+      </div>
+      {draft.header.format === "TEXT" && (
+        <input
+          type="text"
+          value={draft.header.text}
+          onChange={(e) =>
+            update("header", { ...draft.header, text: e.target.value })
+          }
+          placeholder="Header text"
+          className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md"
+        />
+      )}
+      <textarea
+        value={draft.body}
+        onChange={(e) => update("body", e.target.value)}
+        placeholder="Hi {{1}}, your order {{2}} has shipped."
+        rows={3}
+        className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md"
+      />
+      <input
+        type="text"
+        value={draft.footer}
+        onChange={(e) => update("footer", e.target.value)}
+        placeholder="Footer (optional)"
+        className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md"
+      />
+      <ArrayInput
+        label="Buttons"
+        items={draft.buttons}
+        onChange={(buttons) => update("buttons", buttons)}
+        newItemValue={{ type: "QUICK_REPLY", text: "" }}
+        addButtonLabel="Add Button"
+        maxItems={10}
+        minItems={0}
+        renderItem={({ item, index, onChange, onRemove }) => (
+          <div key={index} className="flex items-center space-x-2">
+            <select
+              value={item.type}
+              onChange={(e) => onChange({ ...item, type: e.target.value })}
+              className="px-2 py-2 border border-gray-300 rounded-md"
+            >
+              {Object.entries(BUTTON_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={item.text || ""}
+              onChange={(e) => onChange({ ...item, text: e.target.value })}
+              placeholder="Text"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+            {item.type === "URL" && (
+              <input
+                type="text"
+                value={item.url || ""}
+                onChange={(e) => onChange({ ...item, url: e.target.value })}
+                placeholder="https://example.com/{{1}}"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            )}
+            {item.type === "PHONE_NUMBER" && (
+              <input
+                type="text"
+                value={item.phoneNumber || ""}
+                onChange={(e) =>
+                  onChange({ ...item, phoneNumber: e.target.value })
+                }
+                placeholder="+15550001111"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+            )}
+            <button
+              type="button"
+              onClick={onRemove}
+              className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        )}
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Template"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function TemplateFields({ formData, onChange, errors }) {
+  const { id: projectId } = useParams();
+  const [templates, setTemplates] = useState([]);
+  const [showNewForm, setShowNewForm] = useState(false);
+
+  useEffect(() => {
+    if (!projectId) return;
+    getTemplates(projectId)
+      .then(setTemplates)
+      .catch((err) => console.error(err));
+  }, [projectId]);
+
+  const selected = templates.find((t) => t._id === formData.templateId);
+
+  const headerFormat = selected?.header?.format || "NONE";
+  const headerCount =
+    headerFormat === "TEXT"
+      ? countPlaceholders(selected.header.text)
+      : ["IMAGE", "VIDEO", "DOCUMENT"].includes(headerFormat)
+        ? 1
+        : 0;
+  const bodyCount = countPlaceholders(selected?.body);
+
+  const setParam = (key, index, value) => {
+    const params = [...(formData[key] || [])];
+    params[index] = value;
+    onChange(key, params);
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    if (!window.confirm(`Delete template "${selected.name}"?`)) return;
+    try {
+      await deleteTemplate(projectId, selected._id);
+      setTemplates((prev) => prev.filter((t) => t._id !== selected._id));
+      onChange("templateId", "");
+      toast.success("Template deleted");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="mb-4">
+        <label className="text-sm font-medium block mb-1">
+          Template <span className="text-red-500 ml-1">*</span>
+        </label>
+        <div className="flex items-center space-x-2">
+          <select
+            value={formData.templateId || ""}
+            onChange={(e) => onChange("templateId", e.target.value)}
+            className={`flex-1 px-3 py-2 border rounded-md ${
+              errors?.templateId ? "border-red-500" : "border-gray-300"
+            }`}
+          >
+            <option value="">Select a template</option>
+            {templates.map((template) => (
+              <option key={template._id} value={template._id}>
+                {template.name} ({template.language})
+              </option>
+            ))}
+          </select>
+          {selected && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+              title="Delete template"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
+        </div>
+        {errors?.templateId && (
+          <p className="text-red-500 text-sm mt-1">{errors.templateId}</p>
+        )}
+        {!showNewForm && (
+          <button
+            type="button"
+            onClick={() => setShowNewForm(true)}
+            className="mt-2 text-sm text-blue-600 hover:underline"
+          >
+            + Register a new template
+          </button>
+        )}
+      </div>
+
+      {showNewForm && (
+        <NewTemplateForm
+          projectId={projectId}
+          onCancel={() => setShowNewForm(false)}
+          onCreated={(template) => {
+            setTemplates((prev) => [...prev, template]);
+            onChange("templateId", template._id);
+            setShowNewForm(false);
+          }}
+        />
+      )}
+
+      {selected && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-2 whitespace-pre-wrap">
+            {selected.body}
+          </p>
+          {Array.from({ length: headerCount }, (_, i) => (
+            <ParamInput
+              key={`header-${i}`}
+              label={
+                headerFormat === "TEXT"
+                  ? `Header {{${i + 1}}}`
+                  : `Header ${headerFormat.toLowerCase()} URL`
+              }
+              value={formData.headerParams?.[i]}
+              onChange={(value) => setParam("headerParams", i, value)}
+            />
+          ))}
+          {Array.from({ length: bodyCount }, (_, i) => (
+            <ParamInput
+              key={`body-${i}`}
+              label={`Body {{${i + 1}}}`}
+              value={formData.bodyParams?.[i]}
+              onChange={(value) => setParam("bodyParams", i, value)}
+            />
+          ))}
+          {(selected.buttons || []).map((button, i) =>
+            button.type === "URL" && countPlaceholders(button.url) > 0 ? (
+              <ParamInput
+                key={`button-${i}`}
+                label={`"${button.text}" URL suffix`}
+                value={formData.buttonParams?.[i]}
+                onChange={(value) => setParam("buttonParams", i, value)}
+              />
+            ) : null
+          )}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 mb-3">
+        Templates can start a conversation outside the 24-hour window. Connect
+        a "Success" edge for the next step and a "Failure" edge for when
+        WhatsApp rejects the template.
+      </p>
+      <BooleanField
+        formData={formData}
+        onChange={onChange}
+        fieldKey="waitForUserReply"
+        label="Wait for user reply"
+      />
+    </>
+  );
+}
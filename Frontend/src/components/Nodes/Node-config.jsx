@@ -5,6 +5,13 @@ export const NODE_TYPES = {
   buttons: "Decision Buttons",
   apiCall: "API Call",
   keywordMatch: "Keyword Match",
+  condition: "Condition",
+  setVariable: "Set Variable",
+  media: "Send Media",
+  template: "Template Message",
+  random: "Random Split",
+  goto: "Go To",
+  handoff: "Human Handoff",
   end: "End Flow",
 };
 
@@ -19,12 +26,27 @@ export const NODE_CATEGORY_MAP = {
   ActionAskaQuestion: "askaQuestion",
   ActionButtons: "buttons",
   ActionApiCall: "apiCall",
+  ActionSetVariable: "setVariable",
+  ActionSendMedia: "media",
+  ActionTemplate: "template",
 
   ConditionKeyword: "keywordMatch",
+  ConditionVariable: "condition",
+  ControlRandomSplit: "random",
 
+  ControlGoto: "goto",
+  ControlHandoff: "handoff",
   ControlEndFlow: "end",
 };
 
+// Short text that tells same-typed nodes apart in the target list
+export function describeNode(node) {
+  const properties = node.data?.properties || {};
+  const preview = properties.message || properties.question || "";
+  const label = node.data?.label || node.type;
+  return preview ? `${label}: ${preview.slice(0, 30)}` : `${label} (${node.id})`;
+}
+
 export function getNodeCategory(type) {
   return NODE_CATEGORY_MAP[type] || type;
 }
@@ -33,6 +55,8 @@ export const nodeFieldMap = {
   start: {
     quickReply: "",
     waitForUserReply: false,
+    sessionTimeoutMinutes: "",
+    timeoutNodeId: "",
   },
   message: {
     message: "",
@@ -41,6 +65,8 @@ export const nodeFieldMap = {
   buttons: {
     message: "",
     buttons: [""],
+    listButtonText: "",
+    sectionTitle: "",
     waitForUserReply: false,
   },
   keywordMatch: {
@@ -59,6 +85,43 @@ export const nodeFieldMap = {
     accessToken: "",
     waitForUserReply: false,
   },
+  condition: {
+    conditions: [
+      {
+        label: "",
+        match: "all",
+        rules: [{ variable: "", operator: "equals", value: "" }],
+      },
+    ],
+    waitForUserReply: false,
+  },
+  random: {
+    branches: [
+      { label: "A", weight: 50 },
+      { label: "B", weight: 50 },
+    ],
+    waitForUserReply: false,
+  },
+  template: {
+    templateId: "",
+    headerParams: [],
+    bodyParams: [],
+    buttonParams: [],
+    waitForUserReply: false,
+  },
+  media: {
+    mediaType: "image",
+    mediaUrl: "",
+    caption: "",
+    filename: "",
+    waitForUserReply: false,
+  },
+  setVariable: {
+    assignments: [
+      { variable: "", operation: "set", valueType: "template", value: "" },
+    ],
+    waitForUserReply: false,
+  },
   askaQuestion: {
     question: "",
     validationType: "none",
@@ -67,6 +130,15 @@ export const nodeFieldMap = {
     propertyName: "",
     waitForUserReply: false,
   },
+  goto: {
+    targetNodeId: "",
+  },
+  handoff: {
+    message: "",
+    reason: "",
+    resumeNodeId: "",
+    notifyMembers: true,
+  },
   end: {
     waitForUserReply: false,
   },
@@ -79,9 +151,101 @@ export function getInitialFields(type) {
 
 export const TriggerNodes = ["start"];
 
-export const ConditionNodes = ["keywordMatch", "end"];
+export const ConditionNodes = [
+  "keywordMatch",
+  "condition",
+  "random",
+  "goto",
+  "handoff",
+  "end",
+];
 
-export const ActionNodes = ["message", "askaQuestion", "buttons", "apiCall"];
+export const CONDITION_OPERATORS = {
+  equals: "Equals",
+  notEquals: "Does not equal",
+  contains: "Contains",
+  notContains: "Does not contain",
+  regex: "Matches regex",
+  greaterThan: "Greater than",
+  lessThan: "Less than",
+  greaterThanOrEqual: "Greater than or equal",
+  lessThanOrEqual: "Less than or equal",
+  isEmpty: "Is empty",
+  isNotEmpty: "Is not empty",
+};
+
+// Operators that only look at the variable and need no compare value
+export const UNARY_CONDITION_OPERATORS = ["isEmpty", "isNotEmpty"];
+
+export const DEFAULT_CONDITION_LABEL = "Default";
+
+// Edge labels a condition node can route to: one per rule set plus the default path
+export function getConditionLabels(properties) {
+  const labels = (properties?.conditions || [])
+    .map((group) => group?.label?.trim())
+    .filter(Boolean);
+  return [...new Set([...labels, DEFAULT_CONDITION_LABEL])];
+}
+
+// Edge labels offered for a branching node, or null when edges are free-form
+export function getBranchLabels(node) {
+  switch (node?.type) {
+    case "condition":
+      return getConditionLabels(node.data?.properties);
+    case "random":
+      return [
+        ...new Set(
+          (node.data?.properties?.branches || [])
+            .map((branch) => branch?.label?.trim())
+            .filter(Boolean)
+        ),
+      ];
+    default:
+      return null;
+  }
+}
+
+export const ActionNodes = [
+  "message",
+  "askaQuestion",
+  "buttons",
+  "apiCall",
+  "setVariable",
+  "media",
+  "template",
+];
+
+// Edge label followed when WhatsApp reports that a node's message failed
+export const DELIVERY_FAILED_LABEL = "Delivery Failed";
+
+export const DELIVERY_TRACKED_NODE_TYPES = [
+  "message",
+  "buttons",
+  "askaQuestion",
+  "media",
+  "template",
+];
+
+export const MEDIA_TYPES = {
+  image: "Image",
+  video: "Video",
+  audio: "Audio",
+  sticker: "Sticker",
+  document: "Document",
+};
+
+export const VARIABLE_OPERATIONS = {
+  set: "Set to",
+  append: "Append",
+  increment: "Increment by",
+  clear: "Clear",
+};
+
+export const VARIABLE_VALUE_TYPES = {
+  template: "Text with variables",
+  literal: "Literal text",
+  variable: "Copy variable",
+};
 
 export const dummyData = {
   Select: [
@@ -7,6 +7,13 @@ import ApiCallFields from "./Fields/ApiCallFields";
 import { AskAQuestionFields } from "./Fields/AskAQuestionFields";
 import { MessageFields } from "./Fields/MessageFields";
 import { StartFields } from "./Fields/StartFields";
+import { ConditionFields } from "./Fields/ConditionFields";
+import { SetVariableFields } from "./Fields/SetVariableFields";
+import { RandomSplitFields } from "./Fields/RandomSplitFields";
+import { GotoFields } from "./Fields/GotoFields";
+import { MediaFields } from "./Fields/MediaFields";
+import { TemplateFields } from "./Fields/TemplateFields";
+import { HandoffFields } from "./Fields/HandoffFields";
 
 // Map node types to their corresponding field-rendering component.
 const FIELD_RENDERER_MAP = {
@@ -16,10 +23,24 @@ const FIELD_RENDERER_MAP = {
   keywordMatch: KeywordMatchFields,
   apiCall: ApiCallFields,
   askaQuestion: AskAQuestionFields,
+  condition: ConditionFields,
+  setVariable: SetVariableFields,
+  random: RandomSplitFields,
+  goto: GotoFields,
+  handoff: HandoffFields,
+  media: MediaFields,
+  template: TemplateFields,
   end: (props) => <DefaultField {...props} fieldKey="quickReply" />,
 };
 
-export function NodeFieldRenderer({ nodeType, formData, onChange, errors }) {
+export function NodeFieldRenderer({
+  nodeId,
+  nodeType,
+  nodes,
+  formData,
+  onChange,
+  errors,
+}) {
   // Find the specific component for the node type.
   const FieldComponent = FIELD_RENDERER_MAP[nodeType];
 
@@ -32,6 +53,12 @@ export function NodeFieldRenderer({ nodeType, formData, onChange, errors }) {
   }
 
   return (
-    <FieldComponent formData={formData} onChange={onChange} errors={errors} />
+    <FieldComponent
+      nodeId={nodeId}
+      nodes={nodes}
+      formData={formData}
+      onChange={onChange}
+      errors={errors}
+    />
   );
 }
@@ -6,11 +6,15 @@ import {
   ActionSendMedia,
   ActionSendText,
   ActionAskaQuestion,
+  ActionSetVariable,
+  ActionTemplate,
   AiGpt,
   ConditionKeyword,
   ConditionVariable,
   ControlEndFlow,
   ControlGoto,
+  ControlHandoff,
+  ControlRandomSplit,
   DebugLog,
   TriggerNewChat,
   TriggerUserMessage,
@@ -20,16 +24,19 @@ const nodeTypes = {
   start: TriggerUserMessage,
   // TriggerNewChat: TriggerNewChat,
   keywordMatch: ConditionKeyword,
-  // ConditionVariable: ConditionVariable,
+  condition: ConditionVariable,
   message: ActionSendText,
   buttons: ActionButtons,
   askaQuestion: ActionAskaQuestion,
-  // ActionSendMedia: ActionSendMedia,
+  media: ActionSendMedia,
+  template: ActionTemplate,
   // ActionQuickReply: ActionQuickReply,
   // ActionDelay: ActionDelay,
-  // ActionSetVariable: ActionSetVariable,
+  setVariable: ActionSetVariable,
   apiCall: ActionApiCall,
-  // ControlGoto: ControlGoto,
+  goto: ControlGoto,
+  handoff: ControlHandoff,
+  random: ControlRandomSplit,
   end: ControlEndFlow,
   // ConditionInputAsk: InputAsk,
   // ConditionAiGpt: AiGpt,
@@ -33,6 +33,14 @@ function BaseNode({
           />
         )}
         {icon}
+        {data?.deliveryFailures > 0 && (
+          <span
+            className="absolute -top-2 -right-2 min-w-[20px] h-5 px-1 flex items-center justify-center text-xs font-semibold text-white bg-red-600 rounded-full"
+            title={`${data.deliveryFailures} message(s) from this node failed to deliver`}
+          >
+            {data.deliveryFailures}
+          </span>
+        )}
       </div>
       <div className="mt-1 px-3 py-1 text-sm text-center text-slate-800 rounded-2xl bg-white">
         {label}
@@ -65,6 +73,9 @@ import {
   UserRoundPen,
   SquareMenuIcon,
   LogIn,
+  Shuffle,
+  FileText,
+  Headset,
 } from "lucide-react";
 
 export const TriggerUserMessage = (props) => (
@@ -98,7 +109,7 @@ export const ConditionKeyword = (props) => (
 export const ConditionVariable = (props) => (
   <BaseNode
     icon={<Settings size={24} />}
-    label="Variable Check"
+    label="Condition"
     bgColor="bg-yellow-300"
     {...props}
   />
@@ -122,6 +133,15 @@ export const ActionSendMedia = (props) => (
   />
 );
 
+export const ActionTemplate = (props) => (
+  <BaseNode
+    icon={<FileText size={24} />}
+    label="Template Message"
+    bgColor="bg-blue-300"
+    {...props}
+  />
+);
+
 export const ActionQuickReply = (props) => (
   <BaseNode
     icon={<MessageSquareReply size={24} />}
@@ -163,6 +183,25 @@ export const ControlGoto = (props) => (
     icon={<ChevronRightCircle size={24} />}
     label="Go To Node"
     bgColor="bg-pink-200"
+    hideRightHandle={true}
+    {...props}
+  />
+);
+
+export const ControlHandoff = (props) => (
+  <BaseNode
+    icon={<Headset size={24} />}
+    label="Human Handoff"
+    bgColor="bg-pink-300"
+    {...props}
+  />
+);
+
+export const ControlRandomSplit = (props) => (
+  <BaseNode
+    icon={<Shuffle size={24} />}
+    label="Random Split"
+    bgColor="bg-pink-100"
     {...props}
   />
 );
@@ -221,11 +260,14 @@ export default {
   ActionSendText,
   ActionButtons,
   ActionSendMedia,
+  ActionTemplate,
   ActionQuickReply,
   ActionDelay,
   ActionSetVariable,
   ActionApiCall,
   ControlGoto,
+  ControlHandoff,
+  ControlRandomSplit,
   ControlEndFlow,
   ActionAskaQuestion,
   //   AiGpt,
@@ -1,9 +1,51 @@
 import React, { useState, useEffect } from "react";
 import { Trash2 } from "lucide-react";
 import { NodeFieldRenderer } from "./NodeFieldRenderer";
-import { getInitialFields, getNodeCategory } from "./Node-config";
+import {
+  getInitialFields,
+  getNodeCategory,
+  DELIVERY_FAILED_LABEL,
+} from "./Node-config";
 
-function BaseNodeDialog({ node, onClose, onSave, onDelete }) {
+// Sent / delivered / read / failed counts reported by WhatsApp for this node
+function DeliverySummary({ stats }) {
+  return (
+    <div
+      className={`mb-4 p-3 rounded border text-sm ${
+        stats.failed > 0
+          ? "bg-red-50 border-red-300 text-red-800"
+          : "bg-gray-50 border-gray-200 text-gray-700"
+      }`}
+    >
+      <p>
+        Sent {stats.sent} · Delivered {stats.delivered} · Read {stats.read} ·
+        Failed {stats.failed}
+      </p>
+      {stats.lastError && (
+        <p className="mt-1">
+          Last failure: {stats.lastError.title || "Unknown error"}
+          {stats.lastError.details && ` (${stats.lastError.details})`}
+        </p>
+      )}
+      {stats.failed > 0 && (
+        <p className="mt-1 text-xs">
+          Connect a "{DELIVERY_FAILED_LABEL}" edge to handle contacts who did
+          not receive this message.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function BaseNodeDialog({
+  node,
+  nodes = [],
+  deliveryStats,
+  readOnly = false,
+  onClose,
+  onSave,
+  onDelete,
+}) {
   if (!node) return null;
 
   const nodeType = getNodeCategory(node.type);
@@ -21,6 +63,13 @@ function BaseNodeDialog({ node, onClose, onSave, onDelete }) {
       keywordMatch: ["keywords"],
       apiCall: ["requestName", "url"],
       askaQuestion: ["question", "propertyName"],
+      condition: ["conditions"],
+      setVariable: ["assignments"],
+      random: ["branches"],
+      goto: ["targetNodeId"],
+      handoff: [],
+      media: ["mediaType", "mediaUrl"],
+      template: ["templateId"],
       end: [],
     };
     return requiredFieldsMap[type] || [];
@@ -97,6 +146,37 @@ function BaseNodeDialog({ node, onClose, onSave, onDelete }) {
           return;
         }
       }
+
+      // Every condition rule set routes to its own labelled edge
+      if (
+        field === "conditions" &&
+        value.some((group) => !group?.label || group.label.trim() === "")
+      ) {
+        newErrors[field] = "Every rule set needs a path label";
+        return;
+      }
+
+      if (
+        field === "branches" &&
+        value.some(
+          (item) =>
+            !item?.label ||
+            item.label.trim() === "" ||
+            Number.isNaN(Number(item.weight)) ||
+            Number(item.weight) < 0
+        )
+      ) {
+        newErrors[field] = "Every branch needs a label and a weight of 0 or more";
+        return;
+      }
+
+      if (
+        field === "assignments" &&
+        value.some((item) => !item?.variable || item.variable.trim() === "")
+      ) {
+        newErrors[field] = "Every assignment needs a variable name";
+        return;
+      }
     });
 
     setErrors(newErrors);
@@ -130,19 +210,25 @@ function BaseNodeDialog({ node, onClose, onSave, onDelete }) {
         className={`bg-white p-6 rounded-lg shadow-lg shadow-indigo-900 max-h-[90vh] overflow-y-auto relative animate-slide-in-right ${
           nodeType === "apiCall" ? "w-[1000px]" : "w-[500px]"
         }`}
-        onKeyDown={(e) => e.key === "Enter" && handleSave()}
+        onKeyDown={(e) => e.key === "Enter" && !readOnly && handleSave()}
       >
-        <button
-          onClick={() => {
-            onDelete(node.id);
-            onClose();
-          }}
-          className="absolute rounded-md p-1 m-1 top-4 right-4 border-2 border-black transition-all duration-300 text-white bg-red-500 hover:bg-red-900"
-        >
-          <Trash2 className="w-6 h-6" />
-        </button>
-
-        <h2 className="text-lg font-bold mb-4">Edit Node: {node.data.label}</h2>
+        {!readOnly && (
+          <button
+            onClick={() => {
+              onDelete(node.id);
+              onClose();
+            }}
+            className="absolute rounded-md p-1 m-1 top-4 right-4 border-2 border-black transition-all duration-300 text-white bg-red-500 hover:bg-red-900"
+          >
+            <Trash2 className="w-6 h-6" />
+          </button>
+        )}
+
+        <h2 className="text-lg font-bold mb-4">
+          {readOnly ? "View" : "Edit"} Node: {node.data.label}
+        </h2>
+
+        {deliveryStats && <DeliverySummary stats={deliveryStats} />}
 
         {showErrors && Object.keys(errors).length > 0 && (
           <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
@@ -155,26 +241,32 @@ function BaseNodeDialog({ node, onClose, onSave, onDelete }) {
           </div>
         )}
 
-        <NodeFieldRenderer
-          nodeType={nodeType}
-          formData={formData}
-          onChange={handleChange}
-          errors={errors}
-        />
+        <fieldset disabled={readOnly}>
+          <NodeFieldRenderer
+            nodeId={node.id}
+            nodeType={nodeType}
+            nodes={nodes}
+            formData={formData}
+            onChange={handleChange}
+            errors={errors}
+          />
+        </fieldset>
 
         <div className="flex justify-end gap-2 mt-4">
           <button
             onClick={onClose}
             className="px-4 py-2 bg-red-500 rounded-md text-white hover:bg-red-800 transition-all duration-300"
           >
-            Cancel
-          </button>
-          <button
-            onClick={handleSave}
-            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-900 transition-all duration-300"
-          >
-            Save
+            {readOnly ? "Close" : "Cancel"}
           </button>
+          {!readOnly && (
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-900 transition-all duration-300"
+            >
+              Save
+            </button>
+          )}
         </div>
       </div>
     </div>
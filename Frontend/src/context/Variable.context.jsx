@@ -3,13 +3,35 @@ import { createContext, useContext, useState } from "react";
 
 const VariableContext = createContext();
 
+// Extra variables stored next to media and location answers
+const MEDIA_ANSWER_DETAILS = ["caption", "filename", "mime_type", "url"];
+const ANSWER_DETAIL_VARIABLES = {
+  image: MEDIA_ANSWER_DETAILS,
+  video: MEDIA_ANSWER_DETAILS,
+  audio: MEDIA_ANSWER_DETAILS,
+  document: MEDIA_ANSWER_DETAILS,
+  location: ["latitude", "longitude", "name", "address"],
+};
+
 export const VariableProvider = ({ children }) => {
   const [variables, setVariables] = useState([]);
 
   const syncVariablesFromNodes = (nodes) => {
     const vars = nodes
-      .filter((n) => n.type === "askaQuestion" )
-      .map((n) => n.data?.properties?.propertyName)
+      .flatMap((n) => {
+        if (n.type === "askaQuestion") {
+          const name = n.data?.properties?.propertyName;
+          const details =
+            ANSWER_DETAIL_VARIABLES[n.data?.properties?.validationType] || [];
+          return name ? [name, ...details.map((key) => `${name}_${key}`)] : [];
+        }
+        if (n.type === "setVariable") {
+          return (n.data?.properties?.assignments || []).map((a) =>
+            a?.variable?.trim()
+          );
+        }
+        return [];
+      })
       .filter(Boolean);
     setVariables([...new Set(vars)]);
   };
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import {
+  acceptInvitation,
+  declineInvitation,
+  getInvitation,
+} from "../services/invitationService";
+
+export default function AcceptInvite() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState(false);
+  const isLoggedIn = !!localStorage.getItem("token");
+
+  useEffect(() => {
+    getInvitation(token)
+      .then(setInvitation)
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setBusy(true);
+    try {
+      const project = await acceptInvitation(token);
+      navigate(`/projects/${project._id}`);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setBusy(true);
+    try {
+      await declineInvitation(token);
+      setInvitation(null);
+      setMessage("Invitation declined.");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleContinue = () => {
+    if (invitation.hasAccount) {
+      navigate("/login", { state: { from: location } });
+    } else {
+      navigate(`/register?invite=${token}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-200 px-4">
+      <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md text-center">
+        <h2 className="text-2xl font-semibold mb-6">Project invitation</h2>
+
+        {error && (
+          <div className="mb-4 text-red-600 text-sm bg-red-100 p-2 rounded">
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="mb-4 text-sm bg-blue-100 p-2 rounded">{message}</div>
+        )}
+
+        {invitation && (
+          <>
+            <p className="mb-2">
+              {invitation.invitedBy?.fullname || "A teammate"} invited{" "}
+              <strong>{invitation.email}</strong> to join{" "}
+              <strong>{invitation.project?.name}</strong> as{" "}
+              {invitation.role}.
+            </p>
+            <p className="mb-6 text-sm text-gray-500">
+              Expires on {new Date(invitation.expiresAt).toLocaleDateString()}
+            </p>
+
+            <div className="flex justify-center gap-3">
+              {isLoggedIn ? (
+                <button
+                  onClick={handleAccept}
+                  disabled={busy}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+              ) : (
+                <button
+                  onClick={handleContinue}
+                  disabled={busy}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {invitation.hasAccount ? "Log in to accept" : "Sign up to accept"}
+                </button>
+              )}
+              <button
+                onClick={handleDecline}
+                disabled={busy}
+                className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                Decline
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
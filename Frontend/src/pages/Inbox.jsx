@@ -0,0 +1,399 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, Bot, Headset, Send, XCircle } from "lucide-react";
+import { ToastContainer, toast } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { getProjectById } from "../services/projectService";
+import {
+  getConversations,
+  getConversationMessages,
+  replyToConversation,
+  assignConversation,
+  releaseConversation,
+  closeConversation,
+  subscribeToConversationEvents,
+} from "../services/conversationService";
+
+const STATUS_STYLES = {
+  bot: "bg-blue-100 text-blue-700",
+  agent: "bg-amber-100 text-amber-700",
+  closed: "bg-gray-200 text-gray-600",
+};
+
+function formatTime(date) {
+  if (!date) return "";
+  const value = new Date(date);
+  const isToday = value.toDateString() === new Date().toDateString();
+  return isToday
+    ? value.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : value.toLocaleDateString();
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      className={`px-2 py-0.5 text-xs rounded-full capitalize ${
+        STATUS_STYLES[status] || STATUS_STYLES.bot
+      }`}
+    >
+      {status}
+    </span>
+  );
+}
+
+function MessageBubble({ message }) {
+  const outbound = message.direction === "outbound";
+  return (
+    <div className={`flex ${outbound ? "justify-end" : "justify-start"}`}>
+      <div
+        className={`max-w-[70%] px-3 py-2 rounded-lg shadow-sm ${
+          outbound ? "bg-green-100" : "bg-white"
+        }`}
+      >
+        <p className="text-sm whitespace-pre-wrap break-words">
+          {message.text || `[${message.type}]`}
+        </p>
+        <p className="text-[11px] text-gray-500 text-right mt-1">
+          {outbound &&
+            (message.sentBy?.fullname || (message.sentBy ? "Agent" : "Bot"))}
+          {outbound && " · "}
+          {formatTime(message.createdAt)}
+          {outbound && message.status && ` · ${message.status}`}
+        </p>
+        {message.status === "failed" && (
+          <p className="text-[11px] text-red-600 mt-1">
+            {message.error?.title || "Not delivered"}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function Inbox() {
+  const { id: projectId } = useParams();
+  const navigate = useNavigate();
+  const [projectName, setProjectName] = useState("");
+  const [readOnly, setReadOnly] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [selectedContact, setSelectedContact] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [reply, setReply] = useState("");
+  const [sending, setSending] = useState(false);
+  const [filters, setFilters] = useState({ phone: "", from: "", to: "" });
+  const [pagination, setPagination] = useState(null);
+  const selectedContactRef = useRef(null);
+  const threadEndRef = useRef(null);
+
+  const selected = conversations.find((c) => c.contact === selectedContact);
+
+  const loadConversations = useCallback(
+    async (page = 1) => {
+      try {
+        const result = await getConversations(projectId, {
+          page,
+          phone: filters.phone || undefined,
+          from: filters.from ? new Date(filters.from).toISOString() : undefined,
+          // Include the whole "to" day
+          to: filters.to
+            ? new Date(`${filters.to}T23:59:59.999`).toISOString()
+            : undefined,
+        });
+        setConversations((prev) =>
+          page === 1 ? result.conversations : [...prev, ...result.conversations]
+        );
+        setPagination(result.pagination);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    },
+    [projectId, filters]
+  );
+
+  useEffect(() => {
+    getProjectById(projectId)
+      .then((project) => {
+        setProjectName(project?.name || "");
+        // Viewers can read conversations but not answer or take them over
+        setReadOnly(project?.role === "viewer");
+      })
+      .catch((err) => console.error(err));
+  }, [projectId]);
+
+  // Reload from the first page whenever a filter changes
+  useEffect(() => {
+    const timer = setTimeout(() => loadConversations(1), 300);
+    return () => clearTimeout(timer);
+  }, [loadConversations]);
+
+  useEffect(() => {
+    selectedContactRef.current = selectedContact;
+    setMessages([]);
+    if (!selectedContact) return;
+    getConversationMessages(projectId, selectedContact)
+      .then(setMessages)
+      .catch((err) => toast.error(err.message));
+  }, [projectId, selectedContact]);
+
+  // Live updates for the conversation list and the open thread
+  useEffect(() => {
+    return subscribeToConversationEvents(projectId, (type, data) => {
+      if (type === "conversation") {
+        setConversations((prev) => {
+          const existing = prev.find((c) => c._id === data._id);
+          const updated = {
+            ...existing,
+            ...data,
+            assignedTo: existing?.assignedTo,
+            currentNode: existing?.currentNode ?? null,
+          };
+          return [updated, ...prev.filter((c) => c._id !== data._id)].sort(
+            (a, b) =>
+              new Date(b.lastMessage?.at || 0) -
+              new Date(a.lastMessage?.at || 0)
+          );
+        });
+      } else if (
+        type === "message" &&
+        data.contact === selectedContactRef.current
+      ) {
+        // Status receipts arrive as updates of messages already shown
+        setMessages((prev) =>
+          prev.some((m) => m._id === data._id)
+            ? prev.map((m) =>
+                m._id === data._id ? { ...data, sentBy: m.sentBy } : m
+              )
+            : [...prev, data]
+        );
+      }
+    });
+  }, [projectId]);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages]);
+
+  const updateConversation = (conversation) => {
+    setConversations((prev) =>
+      prev.map((c) =>
+        c._id === conversation._id ? { ...c, ...conversation } : c
+      )
+    );
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      const conversation = await action(projectId, selectedContact);
+      updateConversation(conversation);
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!reply.trim() || !selectedContact) return;
+    setSending(true);
+    try {
+      const message = await replyToConversation(
+        projectId,
+        selectedContact,
+        reply.trim()
+      );
+      if (message) {
+        setMessages((prev) =>
+          prev.some((m) => m._id === message._id) ? prev : [...prev, message]
+        );
+      }
+      setReply("");
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-screen bg-gray-100">
+      <ToastContainer position="top-center" autoClose={5000} />
+      <nav className="flex items-center px-4 py-2 bg-white border-b border-gray-200 shadow-sm space-x-4">
+        <button
+          onClick={() => navigate(`/projects/${projectId}`)}
+          className="text-gray-600 hover:text-black"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h1 className="text-xl font-semibold text-gray-800">
+          Inbox{projectName && ` · ${projectName}`}
+        </h1>
+      </nav>
+
+      <div className="flex flex-1 min-h-0">
+        <aside className="w-80 bg-white border-r border-gray-200 overflow-y-auto">
+          <div className="p-3 space-y-2 border-b border-gray-200">
+            <input
+              type="text"
+              value={filters.phone}
+              onChange={(e) =>
+                setFilters((prev) => ({ ...prev, phone: e.target.value }))
+              }
+              placeholder="Search phone number"
+              className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+            />
+            <div className="flex space-x-2">
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) =>
+                  setFilters((prev) => ({ ...prev, from: e.target.value }))
+                }
+                className="w-1/2 px-2 py-1 text-sm border border-gray-300 rounded-md"
+              />
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) =>
+                  setFilters((prev) => ({ ...prev, to: e.target.value }))
+                }
+                className="w-1/2 px-2 py-1 text-sm border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+          {conversations.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">No conversations yet.</p>
+          )}
+          {conversations.map((conversation) => (
+            <button
+              key={conversation._id}
+              onClick={() => setSelectedContact(conversation.contact)}
+              className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                conversation.contact === selectedContact ? "bg-gray-100" : ""
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium">+{conversation.contact}</span>
+                <span className="text-xs text-gray-500">
+                  {formatTime(conversation.lastMessage?.at)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 truncate">
+                {conversation.lastMessage?.direction === "outbound" && "You: "}
+                {conversation.lastMessage?.text}
+              </p>
+              <div className="flex items-center justify-between mt-1">
+                <StatusBadge status={conversation.status} />
+                {conversation.currentNode && (
+                  <span className="text-xs text-gray-500 truncate ml-2">
+                    {conversation.currentNode.label ||
+                      conversation.currentNode.type}
+                  </span>
+                )}
+              </div>
+            </button>
+          ))}
+          {pagination && pagination.page < pagination.totalPages && (
+            <button
+              onClick={() => loadConversations(pagination.page + 1)}
+              className="w-full py-2 text-sm text-blue-600 hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          )}
+        </aside>
+
+        <section className="flex flex-col flex-1 min-w-0">
+          {!selected ? (
+            <div className="flex flex-1 items-center justify-center text-gray-500">
+              Select a conversation to read it.
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between px-4 py-2 bg-white border-b border-gray-200">
+                <div className="flex items-center space-x-3">
+                  <span className="font-semibold">+{selected.contact}</span>
+                  <StatusBadge status={selected.status} />
+                  {selected.handoff?.reason && selected.status === "agent" && (
+                    <span className="text-sm text-gray-500">
+                      {selected.handoff.reason}
+                    </span>
+                  )}
+                </div>
+                <div
+                  className={`flex items-center space-x-2 ${
+                    readOnly ? "hidden" : ""
+                  }`}
+                >
+                  {selected.status === "agent" ? (
+                    <button
+                      onClick={() =>
+                        runAction(
+                          releaseConversation,
+                          "Conversation handed back to the bot"
+                        )
+                      }
+                      className="flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                    >
+                      <Bot size={16} className="mr-1" /> Release to bot
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() =>
+                        runAction(assignConversation, "You took over the chat")
+                      }
+                      className="flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                    >
+                      <Headset size={16} className="mr-1" /> Take over
+                    </button>
+                  )}
+                  {selected.status !== "closed" && (
+                    <button
+                      onClick={() =>
+                        runAction(closeConversation, "Conversation closed")
+                      }
+                      className="flex items-center px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50"
+                    >
+                      <XCircle size={16} className="mr-1" /> Close
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-4 space-y-2">
+                {messages.map((message) => (
+                  <MessageBubble key={message._id} message={message} />
+                ))}
+                <div ref={threadEndRef} />
+              </div>
+
+              <div
+                className={`flex items-center p-3 bg-white border-t border-gray-200 space-x-2 ${
+                  readOnly ? "hidden" : ""
+                }`}
+              >
+                <input
+                  type="text"
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleSend()}
+                  placeholder={
+                    selected.status === "agent"
+                      ? "Type a reply"
+                      : "Replying takes the conversation over from the bot"
+                  }
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <button
+                  onClick={handleSend}
+                  disabled={sending || !reply.trim()}
+                  className="p-2 bg-green-600 text-white rounded-md disabled:opacity-50"
+                >
+                  <Send size={18} />
+                </button>
+              </div>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
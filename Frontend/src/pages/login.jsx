@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useContext } from "react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { login, googleLogin } from "../services/authService";
 import { UserContext } from "../context/User.context";
 import { GoogleLogin } from "@react-oauth/google";
@@ -16,6 +16,9 @@ const Login = () => {
   const { setUser, user } = useContext(UserContext);
   const [error, setError] = useState("");
   const navigate = useNavigate();
+  const location = useLocation();
+  // Return to the page that sent the user here, e.g. an invitation link
+  const redirectTo = location.state?.from?.pathname || "/dashboard";
 
   useEffect(() => {
     if (user) {
@@ -56,7 +59,7 @@ const Login = () => {
       });
 
       window.dispatchEvent(new Event("tokenChange"));
-      navigate("/dashboard");
+      navigate(redirectTo);
     } catch (err) {
       setError(err.message || "Login failed");
     }
@@ -91,7 +94,7 @@ const Login = () => {
       });
 
       window.dispatchEvent(new Event("tokenChange"));
-      navigate("/dashboard");
+      navigate(redirectTo);
     } catch (err) {
       console.error("Google login failed:", err.message);
       setError("Google login failed. Please try again.");
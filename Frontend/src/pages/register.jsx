@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useContext } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { register } from "../services/authService";
+import {
+  acceptInvitation,
+  getInvitation,
+} from "../services/invitationService";
 import { UserContext } from "../context/User.context";
 import Footer from "../components/Footer";
 
@@ -16,6 +20,20 @@ export default function Register() {
   const navigate = useNavigate();
   const [error, setError] = useState("");
   const [message, setMessage] = useState("");
+  // Signing up from an invitation link joins the project right away
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get("invite");
+  const [invitation, setInvitation] = useState(null);
+
+  useEffect(() => {
+    if (!inviteToken) return;
+    getInvitation(inviteToken)
+      .then((details) => {
+        setInvitation(details);
+        setForm((prevForm) => ({ ...prevForm, email: details.email }));
+      })
+      .catch((err) => setError(err.message));
+  }, [inviteToken]);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -31,6 +49,13 @@ export default function Register() {
       const token = await register(form);
       if (token) {
         localStorage.setItem("token", token);
+        // Join before setUser, whose logged-in redirect would race this
+        const project = invitation
+          ? await acceptInvitation(inviteToken).catch((err) => {
+              console.error(err);
+              return null;
+            })
+          : null;
         setUser({
           fullname: form.fullname,
           email: form.email,
@@ -38,7 +63,7 @@ export default function Register() {
           isAdmin: form.isAdmin,
         });
         window.dispatchEvent(new Event("tokenChange"));
-        navigate("/dashboard");
+        navigate(project ? `/projects/${project._id}` : "/dashboard");
       }
     } catch (error) {
       setError(error.message || "Registration failed");
@@ -71,6 +96,12 @@ export default function Register() {
         className="bg-white p-8 rounded-lg shadow-md w-full max-w-md"
       >
         <h2 className="text-2xl font-semibold mb-6 text-center">Register</h2>
+        {invitation && (
+          <div className="mb-4 text-sm text-center bg-blue-100 p-2 rounded">
+            Create an account to join <strong>{invitation.project?.name}</strong>{" "}
+            as {invitation.role}.
+          </div>
+        )}
         {error && (
           <div className="mb-4 text-red-600 text-sm text-center bg-red-100 p-2 rounded">
             {error}
@@ -98,6 +129,7 @@ export default function Register() {
           name="email"
           value={form.email}
           onChange={handleChange}
+          readOnly={!!invitation}
           required
           autoComplete="email"
           className="w-full mb-4 px-3 py-2 border rounded-md focus:outline-none focus:ring focus:ring-blue-300"
@@ -0,0 +1,140 @@
+import axios from "axios";
+
+const API_BASE_URL = `${import.meta.env.VITE_SERVER_DOMAIN}/projects`;
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  };
+};
+
+const conversationUrl = (projectId, contact) =>
+  `${API_BASE_URL}/${projectId}/conversations/${encodeURIComponent(contact)}`;
+
+// Returns { conversations, pagination }; filters are page, limit, phone, from and to
+export const getConversations = async (projectId, filters = {}) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/${projectId}/conversations`,
+      { ...getAuthHeaders(), params: filters }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to fetch conversations"
+    );
+  }
+};
+
+export const getConversationMessages = async (projectId, contact) => {
+  try {
+    const response = await axios.get(
+      `${conversationUrl(projectId, contact)}/messages`,
+      getAuthHeaders()
+    );
+    return response.data.messages;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || "Failed to fetch messages");
+  }
+};
+
+export const replyToConversation = async (projectId, contact, text) => {
+  try {
+    const response = await axios.post(
+      `${conversationUrl(projectId, contact)}/reply`,
+      { text },
+      getAuthHeaders()
+    );
+    return response.data.message;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error ||
+        error.response?.data?.errors?.[0]?.msg ||
+        "Failed to send reply"
+    );
+  }
+};
+
+const conversationAction = (action, fallbackMessage) => async (
+  projectId,
+  contact,
+  body = {}
+) => {
+  try {
+    const response = await axios.post(
+      `${conversationUrl(projectId, contact)}/${action}`,
+      body,
+      getAuthHeaders()
+    );
+    return response.data.conversation;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || fallbackMessage);
+  }
+};
+
+export const assignConversation = conversationAction(
+  "assign",
+  "Failed to take over the conversation"
+);
+
+export const releaseConversation = conversationAction(
+  "release",
+  "Failed to release the conversation"
+);
+
+export const closeConversation = conversationAction(
+  "close",
+  "Failed to close the conversation"
+);
+
+/**
+ * Streams the project's conversation events. EventSource cannot send the
+ * Authorization header, so the server-sent events are read through fetch.
+ * Returns a function that closes the stream.
+ */
+export const subscribeToConversationEvents = (projectId, onEvent) => {
+  const controller = new AbortController();
+
+  const read = async () => {
+    const response = await fetch(
+      `${API_BASE_URL}/${projectId}/conversations/events`,
+      { ...getAuthHeaders(), signal: controller.signal }
+    );
+    if (!response.ok) throw new Error("Failed to open the live updates");
+
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+
+      const frames = buffer.split("\n\n");
+      buffer = frames.pop();
+      for (const frame of frames) {
+        const type = frame.match(/^event: (.*)$/m)?.[1];
+        const data = frame.match(/^data: (.*)$/m)?.[1];
+        if (type && data) onEvent(type, JSON.parse(data));
+      }
+    }
+  };
+
+  // Reconnect after network drops until the caller unsubscribes
+  const connect = () =>
+    read()
+      .catch((err) => {
+        if (!controller.signal.aborted) console.error(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setTimeout(connect, 3000);
+      });
+  connect();
+
+  return () => controller.abort();
+};
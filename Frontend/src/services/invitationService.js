@@ -0,0 +1,92 @@
+import axios from "axios";
+
+const SERVER_URL = import.meta.env.VITE_SERVER_DOMAIN;
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  };
+};
+
+export const getProjectInvitations = async (projectId) => {
+  try {
+    const response = await axios.get(
+      `${SERVER_URL}/projects/${projectId}/invitations`,
+      getAuthHeaders()
+    );
+    return response.data.invitations;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to fetch invitations"
+    );
+  }
+};
+
+export const inviteToProject = async (projectId, { email, role }) => {
+  try {
+    const response = await axios.post(
+      `${SERVER_URL}/projects/${projectId}/invitations`,
+      { email, role },
+      getAuthHeaders()
+    );
+    return response.data.invitation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error ||
+        error.response?.data?.errors?.[0]?.msg ||
+        "Failed to send invitation"
+    );
+  }
+};
+
+export const revokeInvitation = async (projectId, invitationId) => {
+  try {
+    const response = await axios.delete(
+      `${SERVER_URL}/projects/${projectId}/invitations/${invitationId}`,
+      getAuthHeaders()
+    );
+    return response.data.invitation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to revoke invitation"
+    );
+  }
+};
+
+// Public: the token from the emailed link is enough to read the invitation
+export const getInvitation = async (token) => {
+  try {
+    const response = await axios.get(`${SERVER_URL}/invitations/${token}`);
+    return response.data.invitation;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || "Invitation not found");
+  }
+};
+
+export const acceptInvitation = async (token) => {
+  try {
+    const response = await axios.post(
+      `${SERVER_URL}/invitations/${token}/accept`,
+      {},
+      getAuthHeaders()
+    );
+    return response.data.project;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to accept invitation"
+    );
+  }
+};
+
+export const declineInvitation = async (token) => {
+  try {
+    await axios.post(`${SERVER_URL}/invitations/${token}/decline`);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to decline invitation"
+    );
+  }
+};
@@ -55,7 +55,8 @@ export const getProjectById = async (projectId) => {
       `${API_BASE_URL}/get-project/${projectId}`,
       getAuthHeaders()
     );
-    return response.data.project;
+    // The caller's role (owner, editor or viewer) travels with the project
+    return { ...response.data.project, role: response.data.role };
   } catch (error) {
     throw new Error(error.response?.data?.error || "Failed to get project");
   }
@@ -131,3 +132,89 @@ export const updateProjectName = async ({ projectId, name, userId }) => {
     throw new Error(errorMessage);
   }
 };
+
+export const getSplitTestStats = async (projectId) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/split-stats/${projectId}`,
+      getAuthHeaders()
+    );
+    return response.data.stats;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to fetch split test stats"
+    );
+  }
+};
+
+export const getDeliveryStats = async (projectId) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/delivery-stats/${projectId}`,
+      getAuthHeaders()
+    );
+    return response.data.stats;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error || "Failed to fetch delivery stats"
+    );
+  }
+};
+
+export const getTemplates = async (projectId) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/${projectId}/templates`,
+      getAuthHeaders()
+    );
+    return response.data.templates;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || "Failed to fetch templates");
+  }
+};
+
+export const createTemplate = async (projectId, template) => {
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/${projectId}/templates`,
+      template,
+      getAuthHeaders()
+    );
+    return response.data.template;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error ||
+        error.response?.data?.errors?.[0]?.msg ||
+        "Failed to create template"
+    );
+  }
+};
+
+export const updateTemplate = async (projectId, templateId, template) => {
+  try {
+    const response = await axios.patch(
+      `${API_BASE_URL}/${projectId}/templates/${templateId}`,
+      template,
+      getAuthHeaders()
+    );
+    return response.data.template;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.error ||
+        error.response?.data?.errors?.[0]?.msg ||
+        "Failed to update template"
+    );
+  }
+};
+
+export const deleteTemplate = async (projectId, templateId) => {
+  try {
+    const response = await axios.delete(
+      `${API_BASE_URL}/${projectId}/templates/${templateId}`,
+      getAuthHeaders()
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || "Failed to delete template");
+  }
+};